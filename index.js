@@ -1,10 +1,13 @@
-import { audioSettings, uiSettings } from "./source/settings.js"
-import { radioMetaPromise } from "./source/constants.js"
-import { createRadioStationButtons } from "./source/station-manager.js"
+import { audioSettings, uiSettings, dataSettings } from "./source/settings.js"
+import { radioMetaPromise, addRadioMetaErrorListener, requestRadioMeta } from "./source/constants.js"
+import { createRadioStationButtons, showStationListError, setTimeOffset, addTimeOffsetListener } from "./source/station-manager.js"
 import PauseMenu from "./source/ui/pause-menu.js"
 
 import { Speaker } from "./source/ui/icons.js"
 import { SliderInput } from "./source/ui/components.js"
+import { now } from "./source/time-source.js"
+import { addLoadFailureListener } from "./source/audio.js"
+import { showNotice } from "./source/ui/notices.js"
 
 const accentColors = {
     online: "60, 142, 242",
@@ -36,7 +39,7 @@ volumeControl.appendChild(volumeSlider.element)
 volumeIcon.then((icon) => { volumeControl.insertBefore(icon, volumeSlider.element) })
 
 audioSettings.subscribe(async (key, value) => {
-    if (key === "masterGain") {
+    if (key === "masterGain" && typeof value === "number") {
         const icon = await volumeIcon
 
         let level = 1
@@ -52,12 +55,47 @@ audioSettings.subscribe(async (key, value) => {
     }
 }, true)
 
+const listenAtInput = /** @type {HTMLInputElement} */ (document.getElementById("listenAtInput"))
+const goLiveButton = document.getElementById("goLiveButton")
+
+listenAtInput.addEventListener("change", () => {
+    const listenAt = new Date(listenAtInput.value).getTime()
+    if (isNaN(listenAt)) return
+
+    setTimeOffset(listenAt - now())
+})
+goLiveButton.onclick = () => { setTimeOffset(0) }
+
+addTimeOffsetListener((offset) => {
+    goLiveButton.hidden = offset === 0
+    if (offset === 0) listenAtInput.value = ""
+})
+
+addLoadFailureListener((info) => {
+    const fileName = decodeURIComponent(info.path.split("/").pop())
+    showNotice(`Couldn't load "${fileName}", skipping it`)
+})
+
 window.addEventListener("DOMContentLoaded", () => {
     radioMetaPromise.then((meta) => {
         createRadioStationButtons(meta)
     })
 })
 
+// Files loaded from now on use the new mirrors, but the station list was already loaded from the old ones
+dataSettings.subscribe((key) => {
+    if (key === "mirrors") showNotice("Data mirrors changed, reload the page to load stations from them")
+})
+
+addRadioMetaErrorListener((error, retryDelay) => {
+    showStationListError(retryDelay, requestRadioMeta)
+})
+
+// Serves the app and downloaded stations while offline
+if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("sw.js").catch((err) => { console.warn("Failed to register service worker:", err) })
+}
+
 const pauseMenu = new PauseMenu("pauseMenu", document.getElementById("mainContent"))
 document.body.appendChild(pauseMenu.element)
 
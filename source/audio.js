@@ -1,33 +1,89 @@
 import { logs } from "./debug/logging.js"
-import { audioSettings } from "./settings.js"
+import { getMirrorPaths } from "./constants.js"
+import { audioSettings, radioSettings } from "./settings.js"
 import { PlayableSegment } from "./radio.js"
+import { now } from "./time-source.js"
 
 /** @type {AudioContext} */
 // @ts-ignore
 let audioContext = new (window.AudioContext || window.webkitAudioContext)()
 
+/** Time (in milliseconds) that synced audio should be at, plays ahead by the latency offset to make up for output delay (e.g., Bluetooth speakers) */
+function playbackNow() { return now() + audioSettings.get("latencyOffset") }
+
 const AUDIO_PREPLAY_TIME = 0.8 // Execute onAudibleEnd and play audio 800ms early to reduce sync jumps
 const AUDIO_DESYNC_THRESHOLD = 200 // Firefox fingerprint protection can reduce time precision to 100m so have to take that into consideration
+const AUDIO_SEEK_THRESHOLD = 1500 // Desyncs above this are corrected by seeking, smaller ones by nudging playbackRate
 const AUDIO_SYNC_INTERVAL_MS = 8000
+const AUDIO_RATE_NUDGE_TIME_MS = 4000 // Desync is absorbed over this time when possible
+const AUDIO_MAX_RATE_NUDGE = 0.08 // Max playbackRate change, pitch is preserved so it is hardly noticeable
 
 const DUCK_RAMP_PREEMPT_TIME = 2 // AudioContext sometimes fails to work when scheduling value changes right away so some buffer time is required
 
+const MAX_BUFFERED_DURATION = 10 * 60 // Longer segments are streamed with an audio element, decoding them would take up too much memory
+const BUFFER_SCHEDULE_AHEAD_TIME = 1 // Execute onAudibleEnd of buffered audio early, so the next segment can be scheduled to start exactly
+
+const LOAD_RETRY_ATTEMPTS = 3 // Retries after the first failure cycling through data mirrors, every mirror is tried at least once
+const LOAD_RETRY_DELAY_MS = 1000 // Doubles with each retry
+const FAILED_TRACK_TICK_MS = 250
+
 /** @typedef {import("./types.js").AudioInfo} AudioInfo */
+
+/** @type {((info: { path: string }, message: string) => void)[]} */
+const loadFailureListeners = []
+
+/** @param {(info: { path: string }, message: string) => void} listener - Called when audio fails to load after retrying */
+export function addLoadFailureListener(listener) {
+    if (!loadFailureListeners.includes(listener)) { loadFailureListeners.push(listener) }
+}
+
+/**
+ * @param {{ path: string }} info
+ * @param {string} message
+ */
+function reportLoadFailure(info, message) {
+    console.error(`Failed to load audio "${info.path}":`, message)
+    loadFailureListeners.forEach((listener) => { listener(info, message) })
+}
+
+/**
+ * Path to load audio from on a retry, attempts cycle through data mirrors
+ * @param {string} path
+ * @param {number} attempt
+ */
+function getRetryPath(path, attempt) {
+    const paths = getMirrorPaths(path)
+    return paths[attempt % paths.length]
+}
+
+/** @param {string} path */
+function getRetryAttempts(path) { return Math.max(LOAD_RETRY_ATTEMPTS, getMirrorPaths(path).length - 1) }
+
 export class AudioManager {
     /** @type {MediaElementAudioSourceNode} */
     source
     /** @type {boolean} */
     ended = false
+    /** @type {boolean} - True if the audio failed to load after retrying, synced audio keeps time silently */
+    failed = false
     /** @type {(() => void) | null} */
     onDestroy = null
     /** @type {number | null} */
     syncTimestamp = null
+    /** @private @type {number} */
+    _loadAttempt = 0
+    /** @private @type {number | null} */
+    _retryTimeout = null
+    /** @private @type {number | null} */
+    _silentClock = null
     /** @private @type {(() => void) | null} */
     _onCanPlaySync = null
     /** @private @type {number | null} */
     _syncInterval = null
     /** @private @type {number | null} */
     _awaitSyncTimeout = null
+    /** @private @type {number | null} */
+    _rateNudgeTimeout = null
     /** @private @type {boolean} */
     _connected = false
 
@@ -44,18 +100,26 @@ export class AudioManager {
         this.audio = new Audio(this.info.path)
 
         this.audio.crossOrigin = "anonymous"
+        this.audio.preservesPitch = true
         this.audio.addEventListener("ended", () => {
             this.ended = true
             if (autoDestroy) this.destroy()
         })
+        this.audio.addEventListener("error", () => { this._onLoadError() })
     }
 
     /** Current playback position in seconds. More precise if using playSynced. */
     get currentTime() {
-        if (this.syncTimestamp) return (Date.now() - this.syncTimestamp) / 1000
+        if (this.syncTimestamp) return (playbackNow() - this.syncTimestamp) / 1000
         return this.audio.currentTime
     }
 
+    /** Listens to events of the audio element (e.g., "canplay", "waiting") */
+    addEventListener(type, listener, options) { this.audio.addEventListener(type, listener, options) }
+
+    /** Starts loading the audio ahead of playback */
+    load() { this.audio.load() }
+
     /** @private */
     _ensureConnected() {
         if (!this.source) { this.source = audioContext.createMediaElementSource(this.audio) }
@@ -95,19 +159,24 @@ export class AudioManager {
 
         if (!Number.isFinite(timestamp)) { throw new Error("Cannot run playSynced() when timestamp is not a finite number") }
         this.syncTimestamp = timestamp
+        if (this.failed) { this._startSilentClock(); return }
 
         const audio = this.audio
         function getSyncInfo() {
-            const audioTime = Date.now() - timestamp
+            const audioTime = playbackNow() - timestamp
             return { audioTime: audioTime / 1000, desyncMs: audioTime - (audio.currentTime * 1000) }
         }
 
-        function syncAudio(force = false) {
+        const syncAudio = () => {
             const { audioTime, desyncMs } = getSyncInfo()
             
-            if (force || Math.abs(desyncMs) > AUDIO_DESYNC_THRESHOLD) {
+            if (Math.abs(desyncMs) > AUDIO_SEEK_THRESHOLD) {
                 logs.logJump(desyncMs)
+                this._nudgePlaybackRate(0)
                 audio.currentTime = audioTime
+            } else if (Math.abs(desyncMs) > AUDIO_DESYNC_THRESHOLD) {
+                logs.logDesync(desyncMs, audioTime)
+                this._nudgePlaybackRate(desyncMs)
             } else if (audio.currentTime > 0) {
                 logs.logDesync(desyncMs, audioTime)
             }
@@ -126,7 +195,7 @@ export class AudioManager {
                 }, AUDIO_SYNC_INTERVAL_MS)
 
                 this._onCanPlaySync = () => {
-                    syncAudio(true) // Force sync because waiting for audio will cause delays
+                    syncAudio() // Waiting for audio causes delays, which are seeked over when large
                     setTimeout(() => {
                         if (!this._onCanPlaySync) return
                         audio.addEventListener("canplay", this._onCanPlaySync, { once: true })
@@ -140,6 +209,19 @@ export class AudioManager {
         waitUntilAudioTime()
     }
 
+    /** Pauses synced audio but keeps its sync timestamp, so `resync()` can continue it (e.g., while the track it follows stalls) */
+    holdSync() {
+        const timestamp = this.syncTimestamp
+        this._cleanupSync()
+        this.syncTimestamp = timestamp
+        this.audio.pause()
+    }
+
+    /** Restarts synced playback, so it is back in sync after the track it follows jumped or stalled */
+    resync() {
+        if (this.syncTimestamp !== null) this.playSynced(this.syncTimestamp)
+    }
+
     /**
      * Executes callback once audio time reaches delay
      * @param {() => void} callback
@@ -184,9 +266,10 @@ export class AudioManager {
      * @param {number} rampDuration 
      * @param {number} startGain 
      * @param {number} endGain
+     * @param {() => boolean} [isNeeded] - Checked when the ramp starts, the ramp is skipped if ducking is no longer needed
      * @returns {boolean} True if ramp was successful, false if ramp was skipped
      */
-    scheduleDuckingRamp(gainNode, startTime, rampDuration, startGain, endGain) {
+    scheduleDuckingRamp(gainNode, startTime, rampDuration, startGain, endGain, isNeeded = () => true) {
         const audioTime = this.currentTime
 
         // Ramp has not started - schedule fully
@@ -195,6 +278,7 @@ export class AudioManager {
             const preemptTime = Math.min(DUCK_RAMP_PREEMPT_TIME, preemptMax)
 
             this.setTimeout(() => {
+                if (!isNeeded()) return
                 gainNode.gain.setValueCurveAtTime([startGain, endGain], audioContext.currentTime + preemptTime, rampDuration)
             }, startTime - preemptTime)
             return true
@@ -205,9 +289,83 @@ export class AudioManager {
         return false
     }
 
+    /**
+     * Changes playbackRate until the desync is absorbed
+     * @private
+     * @param {number} desyncMs - Positive if audio is behind, 0 resets playbackRate
+     */
+    _nudgePlaybackRate(desyncMs) {
+        clearTimeout(this._rateNudgeTimeout)
+        this._rateNudgeTimeout = null
+
+        const nudge = Math.max(-AUDIO_MAX_RATE_NUDGE, Math.min(AUDIO_MAX_RATE_NUDGE, desyncMs / AUDIO_RATE_NUDGE_TIME_MS))
+        this.audio.playbackRate = 1 + nudge
+        if (nudge === 0) return
+
+        this._rateNudgeTimeout = setTimeout(() => {
+            this._rateNudgeTimeout = null
+            this.audio.playbackRate = 1
+        }, desyncMs / nudge)
+    }
+
+    /** @private */
+    _onLoadError() {
+        if (this.ended || this.failed || !this.audio.getAttribute("src")) return // Destroyed audio has no source
+
+        const error = this.audio.error
+        if (this._loadAttempt >= getRetryAttempts(this.info.path)) {
+            this._onLoadFailed(error ? (error.message || `MediaError code ${error.code}`) : "Unknown error")
+            return
+        }
+
+        const attempt = ++this._loadAttempt
+        const path = getRetryPath(this.info.path, attempt)
+        const wasPlaying = !this.audio.paused
+        console.warn(`Failed to load audio "${this.audio.src}", retrying with "${path}"...`, error)
+
+        this._retryTimeout = setTimeout(() => {
+            this._retryTimeout = null
+            this.audio.src = path
+            this.audio.load()
+
+            if (this.syncTimestamp !== null) this.resync()
+            else if (wasPlaying) this.audio.play()
+        }, LOAD_RETRY_DELAY_MS * 2 ** (attempt - 1))
+    }
+
+    /**
+     * @private
+     * @param {string} message
+     */
+    _onLoadFailed(message) {
+        this.failed = true
+        this.audio.pause()
+
+        reportLoadFailure(this.info, message)
+        this.audio.dispatchEvent(new Event("loadfailed"))
+        if (this.syncTimestamp !== null) this._startSilentClock()
+    }
+
+    /** @private Keeps time for audio that failed to load, so timers still fire and the audio ends when it should have */
+    _startSilentClock() {
+        if (this._silentClock) return
+
+        this._silentClock = setInterval(() => {
+            if (this.currentTime < this.info.duration) {
+                this.audio.dispatchEvent(new Event("timeupdate"))
+                return
+            }
+
+            clearInterval(this._silentClock)
+            this._silentClock = null
+            this.audio.dispatchEvent(new Event("ended"))
+        }, FAILED_TRACK_TICK_MS)
+    }
+
     /** @private */
     _cleanupSync() {
         this.syncTimestamp = null
+        this._nudgePlaybackRate(0)
         if (this._onCanPlaySync) {
             this.audio.removeEventListener("canplay", this._onCanPlaySync)
             this._onCanPlaySync = null
@@ -225,6 +383,9 @@ export class AudioManager {
     destroy() {
         this.ended = true
         this._cleanupSync()
+        clearTimeout(this._retryTimeout)
+        clearInterval(this._silentClock)
+        this._silentClock = null
         
         if (this.audio) {
             this.audio.pause()
@@ -240,6 +401,311 @@ export class AudioManager {
     }
 }
 
+/** @type {?{ timestamp: number, contextTime: number }} - Maps UTC time to AudioContext time, shared by buffered audio so consecutive segments line up exactly */
+let timelineAnchor = null
+
+/**
+ * Converts UTC time to AudioContext time
+ * @param {number} timestamp - UTC time (in milliseconds)
+ */
+function getContextTime(timestamp) {
+    if (!timelineAnchor) timelineAnchor = { timestamp: playbackNow(), contextTime: audioContext.currentTime }
+    return timelineAnchor.contextTime + (timestamp - timelineAnchor.timestamp) / 1000
+}
+
+/** Re-anchors the timeline when the AudioContext clock has drifted too far from the sync clock, checked before each segment so corrections happen between segments */
+function checkTimelineAnchor() {
+    if (!timelineAnchor) return
+
+    const driftMs = (getContextTime(playbackNow()) - audioContext.currentTime) * 1000
+    if (Math.abs(driftMs) > AUDIO_DESYNC_THRESHOLD) {
+        console.warn(`AudioContext clock drifted by ${driftMs.toFixed(0)}ms, re-anchoring buffered audio`)
+        timelineAnchor = null
+    }
+}
+
+/**
+ * Plays decoded audio scheduled on the AudioContext timeline, so transitions and voiceovers start exactly when they should.
+ * Has the same interface as `AudioManager`, the whole file is decoded before it can play.
+ */
+export class BufferAudioManager extends EventTarget {
+    /** @type {boolean} */
+    ended = false
+    /** @type {boolean} - True if the audio failed to load after retrying, scheduled audio keeps time silently */
+    failed = false
+    /** @type {(() => void) | null} */
+    onDestroy = null
+    /** @type {number | null} */
+    syncTimestamp = null
+    /** @private @type {?AudioBuffer} */
+    _buffer = null
+    /** @private @type {?Promise<?AudioBuffer>} */
+    _loading = null
+    /** @private @type {?AudioBufferSourceNode} */
+    _source = null
+    /** @private @type {?number} - AudioContext time when the start of the audio plays, null if not playing */
+    _contextStart = null
+    /** @private @type {number} */
+    _pausedTime = 0
+    /** @private @type {boolean} */
+    _destroyed = false
+    /** @private @type {Set<number>} */
+    _timeouts = new Set()
+
+    /**
+     * @param {AudioInfo | {path: string, [key: string]: any}} audioInfo
+     * @param {AudioNode?} connection - Node to connect to
+     * @param {boolean} autoDestroy - When set to true, destroys audio on end
+     */
+    constructor(audioInfo, connection = null, autoDestroy = false) {
+        super()
+
+        /** @type {AudioNode?} */
+        this.connection = connection
+        this.info = audioInfo
+        this.autoDestroy = autoDestroy
+    }
+
+    /**
+     * Fetches and decodes the audio, if it has not loaded already
+     * @returns {Promise<?AudioBuffer>} Decoded audio, or null if it failed to load
+     */
+    load() {
+        if (this._loading) return this._loading
+
+        this._loading = this._fetchBuffer()
+            .then((buffer) => {
+                if (this._destroyed) return null
+
+                this._buffer = buffer
+                this.dispatchEvent(new Event("canplay"))
+                if (this._contextStart !== null) this._startSource()
+                return buffer
+            })
+            .catch((err) => {
+                if (this._destroyed) return null
+
+                this.failed = true
+                reportLoadFailure(this.info, err instanceof Error ? err.message : String(err))
+                this.dispatchEvent(new Event("loadfailed"))
+                if (this._contextStart !== null) this._endSilently()
+                return null
+            })
+        return this._loading
+    }
+
+    /**
+     * Fetches and decodes the audio, retrying with backoff and alternating between data roots
+     * @private
+     * @returns {Promise<AudioBuffer>}
+     */
+    async _fetchBuffer() {
+        for (let attempt = 0; ; attempt++) {
+            const path = getRetryPath(this.info.path, attempt)
+            try {
+                const response = await fetch(path)
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`)
+                return await audioContext.decodeAudioData(await response.arrayBuffer())
+            } catch (err) {
+                if (attempt >= getRetryAttempts(this.info.path) || this._destroyed) throw err
+
+                console.warn(`Failed to load audio "${path}", retrying...`, err)
+                await new Promise((resolve) => setTimeout(resolve, LOAD_RETRY_DELAY_MS * 2 ** attempt))
+            }
+        }
+    }
+
+    /** Current playback position in seconds, negative if the audio is scheduled to start later */
+    get currentTime() {
+        if (this._contextStart === null) return this._pausedTime
+        return audioContext.currentTime - this._contextStart
+    }
+
+    get isBuffering() { return this._contextStart !== null && !this._buffer && !this.ended && !this.failed }
+
+    resume() { this._schedule(audioContext.currentTime - this._pausedTime) }
+
+    pause() {
+        this._pausedTime = this.currentTime
+        this._stopSource()
+        this._contextStart = null
+    }
+
+    stop() {
+        this._pausedTime = 0
+        this._stopSource()
+        this._contextStart = null
+    }
+
+    /** @param {number} startTime */
+    play(startTime = 0) {
+        this.syncTimestamp = null
+        this._schedule(audioContext.currentTime - startTime)
+    }
+
+    /**
+     * Plays the audio synchronized to a timestamp, scheduled exactly on the AudioContext timeline.
+     * @param {number} timestamp - UTC time (in milliseconds) representing when the audio originally started
+     */
+    playSynced(timestamp) {
+        if (!Number.isFinite(timestamp)) { throw new Error("Cannot run playSynced() when timestamp is not a finite number") }
+
+        this.syncTimestamp = timestamp
+        this._schedule(getContextTime(timestamp))
+    }
+
+    /** Stops synced audio but keeps its sync timestamp, so `resync()` can continue it */
+    holdSync() {
+        this._stopSource()
+        this._contextStart = null
+    }
+
+    /** Reschedules synced audio at its position on the AudioContext timeline */
+    resync() {
+        if (this.syncTimestamp !== null) this._schedule(getContextTime(this.syncTimestamp))
+    }
+
+    /**
+     * Executes callback once audio time reaches delay
+     * @param {() => void} callback
+     * @param {number} delay - Delay (in seconds)
+     * @param {boolean} alwaysRun - If true, executes callback even if currentTime already passed delay
+     */
+    setTimeout(callback, delay, alwaysRun = false) {
+        if (this.currentTime > delay || this.ended) {
+            if (alwaysRun) callback()
+            return
+        }
+
+        let timeoutId
+        const check = () => {
+            this._timeouts.delete(timeoutId)
+            if (this.ended) return
+
+            const timeLeft = delay - this.currentTime
+            if (timeLeft > 0) {
+                timeoutId = setTimeout(check, timeLeft * 1000)
+                this._timeouts.add(timeoutId)
+            } else {
+                callback()
+            }
+        }
+        check()
+    }
+
+    /**
+     * Executes callback shortly before audio has audibly ended, so the next audio can be scheduled to follow it exactly. Will run instantly if already ended.
+     * @param {() => void} callback
+     */
+    onAudibleEnd(callback) {
+        if (this.ended) { callback(); return }
+
+        const duration = this.info.audibleDuration || this.info.duration
+        if (duration) {
+            this.setTimeout(callback, Math.max(0, duration - BUFFER_SCHEDULE_AHEAD_TIME), true)
+        } else {
+            this.addEventListener("ended", callback, { once: true })
+        }
+    }
+
+    /**
+     * Schedules a ducking ramp on the AudioContext timeline
+     * @param {GainNode} gainNode 
+     * @param {number} startTime 
+     * @param {number} rampDuration 
+     * @param {number} startGain 
+     * @param {number} endGain
+     * @param {() => boolean} [isNeeded] - Unused, ramps are scheduled right away. Scheduled values are cancelled when ducking is no longer needed
+     * @returns {boolean} True if ramp was successful, false if ramp was skipped
+     */
+    scheduleDuckingRamp(gainNode, startTime, rampDuration, startGain, endGain, isNeeded = () => true) {
+        if (this._contextStart !== null && this._contextStart + startTime > audioContext.currentTime) {
+            gainNode.gain.setValueCurveAtTime([startGain, endGain], this._contextStart + startTime, rampDuration)
+            return true
+        }
+
+        // Ramp finished or midway - set final value
+        gainNode.gain.value = endGain
+        return false
+    }
+
+    destroy() {
+        this.ended = true
+        this._destroyed = true
+        this._stopSource()
+        this._contextStart = null
+        this._buffer = null
+
+        for (const timeoutId of this._timeouts) clearTimeout(timeoutId)
+        this._timeouts.clear()
+
+        if (this.onDestroy) { this.onDestroy() }
+    }
+
+    /**
+     * @private
+     * @param {number} contextStart - AudioContext time when the start of the audio plays
+     */
+    _schedule(contextStart) {
+        this._stopSource()
+        this.ended = false
+        this._contextStart = contextStart
+
+        if (this._buffer) {
+            this._startSource()
+        } else if (this.failed) {
+            this._endSilently()
+        } else {
+            this.dispatchEvent(new Event("waiting"))
+            this.load()
+        }
+    }
+
+    /** @private Ends audio that failed to load when it should have ended, so the station moves on as scheduled */
+    _endSilently() {
+        this.setTimeout(() => { this._onEnded() }, this.info.duration || 0, true)
+    }
+
+    /** @private Starts the audio at `_contextStart`, or partway through if that has passed */
+    _startSource() {
+        const duration = Math.min(this.info.duration || Infinity, this._buffer.duration) // Segments can be cut short
+        const now = audioContext.currentTime
+        const offset = Math.max(0, now - this._contextStart)
+        if (offset >= duration) { this._onEnded(); return }
+
+        const source = audioContext.createBufferSource()
+        source.buffer = this._buffer
+        source.connect(this.connection || audioContext.destination)
+        source.onended = () => { if (this._source === source) this._onEnded() }
+        source.start(Math.max(now, this._contextStart), offset, duration - offset)
+
+        this._source = source
+        this.dispatchEvent(new Event("playing"))
+    }
+
+    /** @private */
+    _stopSource() {
+        if (!this._source) return
+
+        this._source.onended = null
+        try { this._source.stop() } catch {} // Throws if the source has not started
+        this._source.disconnect()
+        this._source = null
+    }
+
+    /** @private */
+    _onEnded() {
+        if (this.ended) return
+
+        this._source = null
+        this.ended = true
+        this.dispatchEvent(new Event("ended"))
+        if (this.autoDestroy) this.destroy()
+    }
+}
+
+/** @typedef {AudioManager | BufferAudioManager} AudioTrack */
+
 const masterGain = audioContext.createGain()
 masterGain.connect(audioContext.destination)
 
@@ -252,7 +718,8 @@ speechGain.connect(masterGain)
 const sfxGain = audioContext.createGain()
 sfxGain.connect(masterGain)
 
-audioSettings.subscribe((key, value) => {
+audioSettings.subscribe((key, settingValue) => {
+    const value = /** @type {number} */ (settingValue)
     switch (key) {
         case "masterGain":
             masterGain.gain.value = value * 0.8
@@ -273,9 +740,9 @@ audioSettings.subscribe((key, value) => {
 const trackGain = audioContext.createGain()
 trackGain.connect(musicGain)
 
-/** @type {?AudioManager} */
+/** @type {?AudioTrack} */
 export let MainTrack = null
-/** @type {?AudioManager} */
+/** @type {?AudioTrack} */
 export let VoiceoverTrack = null
 
 const stopAudioTrackListeners = new Set()
@@ -290,44 +757,95 @@ export function stopAudioTracks() {
 
     trackGain.gain.cancelScheduledValues(audioContext.currentTime)
     trackGain.gain.value = 1
+    timelineAnchor = null
 }
 
+// Stop the voiceover that is playing and undo its ducking when music only mode is turned on
+radioSettings.subscribe((key, value) => {
+    if (key !== "musicOnly" || !value) return
+
+    if (VoiceoverTrack) { VoiceoverTrack.destroy() }
+    trackGain.gain.cancelScheduledValues(audioContext.currentTime)
+    trackGain.gain.value = 1
+})
+
 const VOICEOVER_DUCK_RAMP_DURATION = 0.8
 const VOICEOVER_DUCK_RAMP_POSITION = 0.5
 const VOICEOVER_DUCK_GAIN = 0.4
 
-/** @typedef {AudioManager & {info: import("./radio.js").SegmentInfo}} SegmentAudio */
-/** @typedef {AudioManager & {info: import("./types.js").VoiceoverInfo}} VoiceoverAudio */
+/** @typedef {AudioTrack & {info: import("./radio.js").SegmentInfo}} SegmentAudio */
+/** @typedef {AudioTrack & {info: import("./types.js").VoiceoverInfo}} VoiceoverAudio */
+
+/**
+ * Creates a track with the playback backend chosen in audio settings
+ * @param {AudioInfo} audioInfo
+ * @param {AudioNode} connection
+ * @param {boolean} buffered - If true, the audio is decoded and scheduled on the AudioContext timeline
+ * @returns {AudioTrack}
+ */
+function createTrack(audioInfo, connection, buffered) {
+    const track = buffered ? new BufferAudioManager(audioInfo, connection, true) : new AudioManager(audioInfo, connection, true)
+    track.load()
+    return track
+}
 
 /** @param {VoiceoverAudio} voiceover */
 function playVoiceover(voiceover) {
     return new Promise((resolve) => {
+        const mainTrack = MainTrack
         const offset = voiceover.info.offset
         const duration = voiceover.info.duration
         const endTime = offset + voiceover.info.duration
 
-        if (MainTrack.currentTime > endTime) {
+        if (mainTrack.currentTime > endTime) {
             resolve()
             return
         }
 
+        const mainTrackListeners = new AbortController()
         VoiceoverTrack = voiceover
-        VoiceoverTrack.onDestroy = () => { resolve() }
+        VoiceoverTrack.onDestroy = () => {
+            mainTrackListeners.abort()
+            resolve()
+        }
         
-        if (MainTrack.currentTime < offset) {
-            MainTrack.setTimeout(() => {
-                if (MainTrack.currentTime > endTime) return
+        if (mainTrack.syncTimestamp !== null) {
+            voiceover.playSynced(mainTrack.syncTimestamp + offset * 1000)
+        } else if (mainTrack.currentTime < offset) {
+            mainTrack.setTimeout(() => {
+                if (mainTrack.currentTime > endTime) return
                 VoiceoverTrack.play()
             }, offset)
         } else {
-            VoiceoverTrack.play(MainTrack.currentTime - offset)
+            VoiceoverTrack.play(mainTrack.currentTime - offset)
         }
         
+        // Both ramps are in main track time, so they can be rescheduled when it jumps
         const duckRampDownStart = offset - (VOICEOVER_DUCK_RAMP_DURATION * VOICEOVER_DUCK_RAMP_POSITION)
-        const duckRampUpStart = duration - (VOICEOVER_DUCK_RAMP_DURATION * (1 - VOICEOVER_DUCK_RAMP_POSITION))
+        const duckRampUpStart = endTime - (VOICEOVER_DUCK_RAMP_DURATION * (1 - VOICEOVER_DUCK_RAMP_POSITION))
+
+        let duckingId = 0
+        function scheduleDucking() {
+            const id = ++duckingId
+            trackGain.gain.cancelScheduledValues(audioContext.currentTime)
+            trackGain.gain.value = 1
+
+            mainTrack.scheduleDuckingRamp(trackGain, duckRampDownStart, VOICEOVER_DUCK_RAMP_DURATION, 1, VOICEOVER_DUCK_GAIN, () => id === duckingId && !voiceover.ended)
+            mainTrack.scheduleDuckingRamp(trackGain, duckRampUpStart, VOICEOVER_DUCK_RAMP_DURATION, VOICEOVER_DUCK_GAIN, 1, () => id === duckingId)
+        }
+        scheduleDucking()
+
+        if (mainTrack.syncTimestamp === null) return
 
-        MainTrack.scheduleDuckingRamp(trackGain, duckRampDownStart, VOICEOVER_DUCK_RAMP_DURATION, 1, VOICEOVER_DUCK_GAIN)
-        VoiceoverTrack.scheduleDuckingRamp(trackGain, duckRampUpStart, VOICEOVER_DUCK_RAMP_DURATION, VOICEOVER_DUCK_GAIN, 1)
+        // Voiceover follows the main track, so it stops while the main track stalls and catches up after it jumps
+        const { signal } = mainTrackListeners
+        const resync = () => {
+            voiceover.resync()
+            scheduleDucking()
+        }
+        mainTrack.addEventListener("waiting", () => { voiceover.holdSync() }, { signal })
+        mainTrack.addEventListener("playing", resync, { signal })
+        mainTrack.addEventListener("seeked", () => { if (!mainTrack.isBuffering) resync() }, { signal })
     })
 }
 
@@ -337,21 +855,22 @@ export class PreloadedSegment extends PlayableSegment {
         super(segment.info, segment.startTimestamp)
         this.voiceovers = segment.voiceovers
 
-        this.audioTrack = /** @type {SegmentAudio} */ (new AudioManager(segment.info, trackGain, true)) // Preload main track
-        this.audioTrack.audio.load()
+        const buffered = audioSettings.get("playbackBackend") === "buffer" && segment.info.duration <= MAX_BUFFERED_DURATION
+        this.audioTrack = /** @type {SegmentAudio} */ (createTrack(segment.info, trackGain, buffered)) // Preload main track
         
         /** @type {VoiceoverAudio[]} */
         this.voiceoverQueue = []
         for (const voiceover of segment.voiceovers || []) {
-            const manager = new AudioManager(voiceover, speechGain, true) // Preload voiceovers
-            manager.audio.load()
-            this.voiceoverQueue.push(/** @type {any} */ (manager))
+            this.voiceoverQueue.push(/** @type {VoiceoverAudio} */ (createTrack(voiceover, speechGain, buffered))) // Preload voiceovers
         }
     }
 
     async processVoiceoverQueue() {
         while (this.voiceoverQueue.length > 0) {
             const voiceover = this.voiceoverQueue.shift()
+
+            // Voiceovers could have been picked before music only mode was turned on
+            if (radioSettings.get("musicOnly")) { voiceover.destroy(); continue }
             await playVoiceover(voiceover)
         }
     }
@@ -364,21 +883,21 @@ export function preloadSegment(segment) {
 
 /** @param {PlayableSegment | PreloadedSegment} segment */
 export function playSegment(segment) {
-    /** @type {PreloadedSegment} */
-    let preloadedSegment
-    if (segment instanceof PlayableSegment) {
-        preloadedSegment = new PreloadedSegment(segment)
-    } else {
-        preloadedSegment = segment
-    }
+    // PreloadedSegment is a PlayableSegment too, wrapping it again would load its audio twice
+    const preloadedSegment = (segment instanceof PreloadedSegment) ? segment : new PreloadedSegment(segment)
 
     logs.startSegment(preloadedSegment)
+    checkTimelineAnchor()
 
     MainTrack = preloadedSegment.audioTrack
-    MainTrack.playSynced(preloadedSegment.startTimestamp)
-    MainTrack.audio.addEventListener("playing", () => {
+    MainTrack.addEventListener("playing", () => {
         preloadedSegment.processVoiceoverQueue()
     }, { once: true })
+    MainTrack.playSynced(preloadedSegment.startTimestamp)
+
+    // Segments can be cut short (e.g., fillers for skipped segments), the audio must not keep playing under the next segment
+    const track = preloadedSegment.audioTrack
+    track.setTimeout(() => { track.destroy() }, preloadedSegment.info.duration)
 }
 
 export default { context: audioContext, masterGain, speechGain, sfxGain }
\ No newline at end of file
@@ -0,0 +1,182 @@
+const DB_NAME = "gta-v-radio"
+const DB_VERSION = 1
+const STORE_NAME = "sync-checkpoints"
+const SAVE_DELAY_MS = 1000
+
+/** @typedef {import("./types.js").StationState} StationState */
+
+/**
+ * @typedef {{
+ *  key: string
+ *  startTimestamp: number
+ *  checkpoints: StationState[]
+ * }} CheckpointRecord
+ */
+
+/** @type {?Promise<IDBDatabase | null>} */
+let dbPromise = null
+
+/**
+ * Opens the checkpoint database, resolves to null if IndexedDB is unavailable (e.g., private browsing)
+ * @returns {Promise<IDBDatabase | null>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") { resolve(null); return }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: "key" })
+            store.createIndex("startTimestamp", "startTimestamp")
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+            console.warn("Failed to open checkpoint database, checkpoints will only be kept in memory:", request.error)
+            resolve(null)
+        }
+    })
+    return dbPromise
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Stores snapshots of station state, so syncing can resume from the nearest snapshot instead of replaying the whole month.
+ * Checkpoints are kept in memory and persisted to IndexedDB.
+ */
+class CheckpointStore {
+    /** @type {Map<string, StationState[]>} - Checkpoints sorted by `accumulatedTime`, by key */
+    memory = new Map()
+    /** @private @type {Map<string, Promise<void>>} */
+    _loading = new Map()
+    /** @private @type {Map<string, number>} */
+    _saveTimeouts = new Map()
+    /** @private @type {Map<string, number>} */
+    _startTimestamps = new Map()
+
+    /**
+     * Loads persisted checkpoints into memory, if they have not loaded already
+     * @param {string} key
+     */
+    load(key) {
+        if (this._loading.has(key)) return this._loading.get(key)
+
+        const promise = (async () => {
+            const db = await openDatabase()
+            if (!db) return
+
+            try {
+                const store = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME)
+                /** @type {CheckpointRecord | undefined} */
+                const record = await promisifyRequest(store.get(key))
+                if (!record || this.memory.has(key)) return
+
+                this.memory.set(key, record.checkpoints)
+            } catch (err) {
+                console.warn(`Failed to load checkpoints for "${key}":`, err)
+            }
+        })()
+
+        this._loading.set(key, promise)
+        return promise
+    }
+
+    /**
+     * Returns the latest checkpoint that matches the predicate
+     * @param {string} key
+     * @param {(checkpoint: StationState) => boolean} predicate
+     * @returns {StationState | null}
+     */
+    findLatest(key, predicate) {
+        const checkpoints = this.memory.get(key)
+        if (!checkpoints) return null
+
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            if (predicate(checkpoints[i])) return checkpoints[i]
+        }
+        return null
+    }
+
+    /**
+     * Returns the last checkpoint, which is the furthest ahead
+     * @param {string} key
+     * @returns {StationState | null}
+     */
+    last(key) {
+        const checkpoints = this.memory.get(key)
+        return checkpoints ? checkpoints[checkpoints.length - 1] : null
+    }
+
+    /**
+     * Appends a checkpoint, it must be further ahead than the last checkpoint
+     * @param {string} key
+     * @param {number} startTimestamp - UTC time (in milliseconds) of the sync reset the checkpoint belongs to
+     * @param {StationState} checkpoint
+     * @param {boolean} [persist] - Whether the checkpoint is saved to IndexedDB, or only kept in memory
+     */
+    add(key, startTimestamp, checkpoint, persist = true) {
+        this._startTimestamps.set(key, startTimestamp)
+        if (!this.memory.has(key)) this.memory.set(key, [])
+
+        const checkpoints = this.memory.get(key)
+        const last = checkpoints[checkpoints.length - 1]
+        if (last && last.accumulatedTime >= checkpoint.accumulatedTime) return
+
+        checkpoints.push(checkpoint)
+        if (persist) this._scheduleSave(key)
+    }
+
+    /**
+     * Removes persisted checkpoints that belong to sync resets before `startTimestamp`
+     * @param {number} startTimestamp
+     */
+    async prune(startTimestamp) {
+        const db = await openDatabase()
+        if (!db) return
+
+        const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME)
+        const request = store.index("startTimestamp").openCursor(IDBKeyRange.upperBound(startTimestamp, true))
+        request.onsuccess = () => {
+            const cursor = request.result
+            if (!cursor) return
+
+            cursor.delete()
+            cursor.continue()
+        }
+    }
+
+    /** @private @param {string} key */
+    _scheduleSave(key) {
+        clearTimeout(this._saveTimeouts.get(key))
+
+        this._saveTimeouts.set(key, setTimeout(async () => {
+            this._saveTimeouts.delete(key)
+
+            const db = await openDatabase()
+            if (!db) return
+
+            /** @type {CheckpointRecord} */
+            const record = { key, startTimestamp: this._startTimestamps.get(key), checkpoints: this.memory.get(key) }
+            try {
+                const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME)
+                await promisifyRequest(store.put(record))
+            } catch (err) {
+                console.warn(`Failed to save checkpoints for "${key}":`, err)
+            }
+        }, SAVE_DELAY_MS))
+    }
+}
+
+export const syncCheckpoints = new CheckpointStore()
@@ -1,7 +1,11 @@
+import { dataSettings } from "./settings.js"
+
 /** @type {HTMLLinkElement} */
 let defaultPageIcon = null
 
 function setDefaultPageIcon() {
+    if (typeof document === "undefined") return null // Running in a worker
+
     let element = document.getElementById("pageIcon")
     if (!element) return
 
@@ -12,7 +16,7 @@ function setDefaultPageIcon() {
 export const pageIcon = {
     element: setDefaultPageIcon(),
     init: () => {
-        if (pageIcon.element) return
+        if (pageIcon.element || typeof document === "undefined") return
         document.addEventListener("DOMContentLoaded", () => {
             pageIcon.element = setDefaultPageIcon()
         }, { once: true })
@@ -31,40 +35,153 @@ export const pageIcon = {
 }
 pageIcon.init()
 
+const RADIO_META_RETRY_DELAY_MS = 2000 // Doubles with each failure
+const RADIO_META_MAX_RETRY_DELAY_MS = 60 * 1000
+
 export const localDataPath = "data/"
 export const remoteDataPath = "https://raw.githubusercontent.com/RegalTerritory/GTA-V-Radio-Stations/master/"
 
+/** Names that can be used in the mirror list instead of the built-in data roots */
+const MIRROR_ALIASES = {
+    local: localDataPath,
+    github: remoteDataPath
+}
+
 let lastUsedPath = localDataPath;
 
-/** @returns {Promise<import("./types").RadioMetadata>} */
-export async function loadRadioMeta() {
-    try {
-        const localResponse = await fetch(localDataPath + "radio.json")
-        if (!localResponse.ok) throw new Error("Local file not found")
+/**
+ * Data roots to load files from in order of preference, as set in data settings (e.g., "local, https://example.com/radio/, github")
+ * @returns {string[]}
+ */
+export function getDataMirrors() {
+    /** @type {string[]} */
+    const mirrors = []
+    for (const entry of dataSettings.get("mirrors").split(/[\s,]+/)) {
+        if (!entry) continue
+
+        let mirror = MIRROR_ALIASES[entry.toLowerCase()] || entry
+        if (!mirror.endsWith("/")) mirror += "/"
+        if (!mirrors.includes(mirror)) mirrors.push(mirror)
+    }
+    return mirrors.length > 0 ? mirrors : [localDataPath, remoteDataPath]
+}
 
-        return await localResponse.json()
-    } catch (localError) {
-        console.warn("Local radio meta not found, trying remote...", localError)
+/**
+ * Paths of a file on every data mirror, used to fall back to the next mirror when a file is missing
+ * @param {string} path
+ * @returns {string[]} Paths starting with the given path, just the given path if it is not in a data root
+ */
+export function getMirrorPaths(path) {
+    const mirrors = getDataMirrors()
+    if (!mirrors.includes(lastUsedPath)) mirrors.unshift(lastUsedPath) // Data root metadata was loaded from, mirrors could have changed since
 
+    let root = null
+    for (const mirror of mirrors) {
+        if (path.startsWith(mirror) && (!root || mirror.length > root.length)) root = mirror
+    }
+    if (!root) return [path]
+
+    const relativePath = path.slice(root.length)
+    return [path, ...mirrors.filter((mirror) => mirror !== root).map((mirror) => mirror + relativePath)]
+}
+
+/**
+ * Fetches a file from the first data mirror that has it
+ * @param {string} path
+ * @returns {Promise<Response>}
+ */
+export async function fetchFromMirrors(path) {
+    let lastError
+    for (const mirrorPath of getMirrorPaths(path)) {
         try {
-            const remoteResponse = await fetch(remoteDataPath + "radio.json")
-            if (!remoteResponse.ok) throw new Error("Remote file not found")
-
-            lastUsedPath = remoteDataPath
-            return await remoteResponse.json()
-        } catch (remoteError) {
-            console.error("Failed to load radio meta from both sources.", remoteError)
-            throw remoteError
+            const response = await fetch(mirrorPath)
+            if (response.ok) return response
+
+            lastError = new Error(`${response.status} ${response.statusText} (${mirrorPath})`)
+        } catch (err) {
+            lastError = err
         }
     }
+    throw lastError
+}
+
+/** @returns {Promise<import("./types").RadioMetadata>} */
+export async function loadRadioMeta() {
+    let lastError
+    for (const mirror of getDataMirrors()) {
+        try {
+            const response = await fetch(mirror + "radio.json")
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`)
+
+            const meta = await response.json()
+            lastUsedPath = mirror
+            return meta
+        } catch (err) {
+            console.warn(`Radio meta not found on "${mirror}", trying next mirror...`, err)
+            lastError = err
+        }
+    }
+
+    console.error("Failed to load radio meta from all mirrors.", lastError)
+    throw lastError
 }
 
 /** @type {import("./types").RadioMetadata} */
 export let radioMeta
 
-export const radioMetaPromise = loadRadioMeta()
+let resolveRadioMeta
+/** @type {Promise<import("./types").RadioMetadata>} - Resolves once radio metadata has loaded, loading is retried until it does */
+export const radioMetaPromise = new Promise((resolve) => {
+    resolveRadioMeta = resolve
+})
 radioMetaPromise.then((meta) => {radioMeta = meta})
 
+/** @type {((error: unknown, retryDelay: number) => void)[]} */
+const radioMetaErrorListeners = []
+
+/** @param {(error: unknown, retryDelay: number) => void} listener - Called when radio metadata fails to load, with the time (in milliseconds) until it is retried */
+export function addRadioMetaErrorListener(listener) {
+    if (!radioMetaErrorListeners.includes(listener)) { radioMetaErrorListeners.push(listener) }
+}
+
+let radioMetaLoading = false
+let radioMetaFailures = 0
+/** @type {?number} */
+let radioMetaRetryTimeout = null
+
+/** Loads radio metadata, retrying with backoff until it loads. Calling it while waiting for a retry retries right away */
+export function requestRadioMeta() {
+    if (radioMetaLoading || radioMeta) return
+
+    clearTimeout(radioMetaRetryTimeout)
+    radioMetaLoading = true
+
+    loadRadioMeta().then((meta) => {
+        radioMetaLoading = false
+        resolveRadioMeta(meta)
+    }, (error) => {
+        radioMetaLoading = false
+        radioMetaFailures++
+        const retryDelay = Math.min(RADIO_META_RETRY_DELAY_MS * 2 ** (radioMetaFailures - 1), RADIO_META_MAX_RETRY_DELAY_MS)
+
+        radioMetaRetryTimeout = setTimeout(requestRadioMeta, retryDelay)
+        radioMetaErrorListeners.forEach((listener) => { listener(error, retryDelay) })
+    })
+}
+
+/**
+ * Sets radio metadata that was loaded elsewhere, used by workers which receive it from the page
+ * @param {import("./types").RadioMetadata} meta
+ * @param {string} dataPath - Data path that the metadata was loaded from
+ */
+export function setRadioMeta(meta, dataPath) {
+    lastUsedPath = dataPath
+    resolveRadioMeta(meta)
+}
+
+// Workers can't resolve data paths relative to the page, so only the page fetches metadata
+if (typeof document !== "undefined") requestRadioMeta()
+
 export function getDataPath() {
     return lastUsedPath
-}
\ No newline at end of file
+}
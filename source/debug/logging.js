@@ -1,4 +1,5 @@
 import { getCategoryId } from "../radio.js"
+import { now } from "../time-source.js"
 
 /** @typedef {import("../radio.js").PlayableSegment} PlayableSegment */
 /** @typedef {import("../audio.js").PreloadedSegment} PreloadedSegment */
@@ -12,7 +13,7 @@ class RadioLogger {
         console.groupEnd()
 
         const duration = playableSegment.info.duration.toFixed(1)
-        const progress = ((Date.now() - playableSegment.startTimestamp) / 1000).toFixed(1)
+        const progress = ((now() - playableSegment.startTimestamp) / 1000).toFixed(1)
         console.group(`%c𝅘𝅥𝅮 Now playing: ${playableSegment.getTitle()} (${progress}s/${duration}s)`,
         'font-weight: bold; font-size: 14px; color: white; background: #4A5568; padding: 4px 8px; border-radius: 4px;');
         
@@ -55,7 +56,7 @@ class RadioLogger {
     /** @param {PreloadedSegment} preloadedSegment */
     logPreloadingSegment(preloadedSegment) {
         const title = preloadedSegment.getTitle()
-        const begins = (Math.abs(Date.now() - preloadedSegment.startTimestamp) / 1000).toFixed(1)
+        const begins = (Math.abs(now() - preloadedSegment.startTimestamp) / 1000).toFixed(1)
         console.log(
             `%c📦 Preloading ${getCategoryId(preloadedSegment.info.category)}: ${title} (begins in ${begins}s)`,
             'color: #6B46C1; background: #E9D8FD;' + SHARED_STYLE
@@ -1,17 +1,18 @@
 import { station } from "../station-manager.js"
 import { MainTrack, playSegment, stopAudioTracks } from "../audio.js"
+import { now } from "../time-source.js"
 
 // @ts-ignore
 window.radio = {
-    nextSegment(count = 1, offset_ms = 0) {
+    async nextSegment(count = 1, offset_ms = 0) {
         stopAudioTracks()
 
         let segment
         for (let i = 0; i < count; i++) {
-            segment = station.nextSegment()
+            segment = await station.nextSegment()
         }
         
-        let time = Date.now()
+        let time = now()
         if (offset_ms) { time -= offset_ms }
 
         segment.startTimestamp = time
@@ -19,6 +20,6 @@ window.radio = {
     },
 
     setSegmentTime(offset_s) {
-        MainTrack.playSynced(Date.now() - (offset_s * 1000))
+        MainTrack.playSynced(now() - (offset_s * 1000))
     }
 }
\ No newline at end of file
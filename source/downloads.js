@@ -0,0 +1,216 @@
+import { radioMeta, getDataPath, fetchFromMirrors } from "./constants.js"
+
+/** Cache that downloaded station files are stored in, the service worker (sw.js) serves files from it */
+export const DATA_CACHE_NAME = "station-data"
+
+const MANIFEST_PATH = "downloads/" // Manifests are stored in the data cache under this path, followed by the station path
+const DOWNLOAD_CONCURRENCY = 3
+const ICON_TYPES = /** @type {const} */ (["color", "monochrome", "full", "cover"])
+
+/** @typedef {import("./radio.js").StationMeta} StationMeta */
+/** @typedef {{ path: string, files: string[], bytes: number }} DownloadManifest */
+/** @typedef {{ done: number, total: number, bytes: number }} DownloadProgress */
+/** @typedef {(stationPath: string, progress: DownloadProgress | null) => void} DownloadListener */
+
+/**
+ * Cache keys are absolute URLs, while data paths can be relative to the page
+ * @param {string} path
+ */
+function toAbsoluteUrl(path) { return new URL(path, location.href).href }
+
+/**
+ * Absolute paths of every file a station needs to play offline
+ * @param {StationMeta} stationMeta - Station with loaded metadata
+ * @returns {string[]}
+ */
+function getStationFiles(stationMeta) {
+    const files = new Set([getDataPath() + "radio.json", stationMeta.getAbsolutePath("station.json")])
+
+    /** @param {any} value - Metadata to search for audio info, nested objects are searched too (e.g., intro attachments) */
+    const addPaths = (value) => {
+        if (!value || typeof value !== "object") return
+        if (typeof value.path === "string") files.add(stationMeta.resolveObjectPath(value).path)
+
+        for (const key in value) addPaths(value[key])
+    }
+
+    const meta = stationMeta.meta
+    addPaths(meta.fileGroups)
+    addPaths(meta.takeovers)
+    for (const category in meta.common) {
+        for (const listId of meta.common[category]) addPaths(radioMeta.common[listId])
+    }
+
+    for (const type of ICON_TYPES) {
+        const icon = stationMeta.getIcon(type)
+        if (icon) files.add(icon)
+    }
+    return Array.from(files)
+}
+
+/** Downloads station files into the data cache, so stations can be listened to offline */
+class StationDownloads {
+    /** @private @type {Map<string, { progress: DownloadProgress, controller: AbortController, promise: Promise<void> }>} - Active downloads, by station path */
+    _active = new Map()
+    /** @private @type {Set<DownloadListener>} */
+    _listeners = new Set()
+    /** @private @type {Set<string>} - Paths of stations whose last download failed */
+    _failed = new Set()
+
+    get isSupported() { return typeof caches !== "undefined" }
+
+    /** @param {DownloadListener} listener - Called when the download progress of a station changes, progress is null once it stops */
+    subscribe(listener) { this._listeners.add(listener) }
+
+    /** @param {DownloadListener} listener */
+    unsubscribe(listener) { this._listeners.delete(listener) }
+
+    /**
+     * @param {StationMeta} stationMeta
+     * @returns {DownloadProgress | null} Progress of the download, null if the station is not downloading
+     */
+    getProgress(stationMeta) {
+        const download = this._active.get(stationMeta.path)
+        return download ? download.progress : null
+    }
+
+    /** @param {StationMeta} stationMeta */
+    hasFailed(stationMeta) { return this._failed.has(stationMeta.path) }
+
+    /**
+     * @param {StationMeta} stationMeta
+     * @returns {Promise<DownloadManifest | null>} Manifest of the downloaded station, null if it has not been downloaded
+     */
+    async getManifest(stationMeta) {
+        if (!this.isSupported) return null
+
+        const cache = await caches.open(DATA_CACHE_NAME)
+        const response = await cache.match(MANIFEST_PATH + stationMeta.path)
+        return response ? response.json() : null
+    }
+
+    /** @returns {Promise<{ usage: number, quota: number } | null>} Storage used by the site (in bytes), null if it can't be estimated */
+    async getStorageEstimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null
+
+        const { usage, quota } = await navigator.storage.estimate()
+        return { usage, quota }
+    }
+
+    /**
+     * Downloads every file of a station that is not cached yet
+     * @param {StationMeta} stationMeta - Station with loaded metadata
+     */
+    download(stationMeta) {
+        const active = this._active.get(stationMeta.path)
+        if (active) return active.promise
+
+        this._failed.delete(stationMeta.path)
+        const controller = new AbortController()
+        const files = getStationFiles(stationMeta)
+        /** @type {DownloadProgress} */
+        const progress = { done: 0, total: files.length, bytes: 0 }
+
+        const promise = (async () => {
+            if (navigator.storage && navigator.storage.persist) navigator.storage.persist() // Ask the browser not to evict downloads when storage runs low
+
+            const cache = await caches.open(DATA_CACHE_NAME)
+            const queue = files.slice()
+
+            const downloadNext = async () => {
+                while (queue.length > 0 && !controller.signal.aborted) {
+                    const path = queue.shift()
+
+                    let response = await cache.match(path)
+                    if (!response) {
+                        response = await fetchFromMirrors(path)
+                        await cache.put(path, response.clone()) // Stored under the path the station requests, even if a mirror had it
+                    }
+
+                    progress.done++
+                    progress.bytes += Number(response.headers.get("Content-Length")) || (await response.blob()).size
+                    this._notify(stationMeta.path, progress)
+                }
+            }
+
+            const workers = []
+            for (let i = 0; i < DOWNLOAD_CONCURRENCY; i++) workers.push(downloadNext())
+            await Promise.all(workers)
+            if (controller.signal.aborted) return
+
+            /** @type {DownloadManifest} */
+            const manifest = { path: stationMeta.path, files, bytes: progress.bytes }
+            await cache.put(MANIFEST_PATH + stationMeta.path, new Response(JSON.stringify(manifest), { headers: { "Content-Type": "application/json" } }))
+        })()
+
+        this._active.set(stationMeta.path, { progress, controller, promise })
+        this._notify(stationMeta.path, progress)
+
+        const onStopped = () => {
+            if (this._active.get(stationMeta.path)?.promise !== promise) return
+            this._active.delete(stationMeta.path)
+            this._notify(stationMeta.path, null)
+        }
+        promise.then(onStopped, (err) => {
+            controller.abort() // Stops the other files of the station from downloading
+            console.error(`Failed to download station "${stationMeta.path}":`, err)
+            this._failed.add(stationMeta.path)
+            onStopped()
+        })
+        return promise
+    }
+
+    /**
+     * Stops downloading a station, files that finished downloading are kept until the station is deleted
+     * @param {StationMeta} stationMeta
+     */
+    cancel(stationMeta) {
+        const download = this._active.get(stationMeta.path)
+        if (!download) return
+
+        download.controller.abort()
+        this._active.delete(stationMeta.path)
+        this._notify(stationMeta.path, null)
+    }
+
+    /**
+     * Deletes the downloaded files of a station, files that other downloaded stations use are kept
+     * @param {StationMeta} stationMeta - Station with loaded metadata
+     */
+    async delete(stationMeta) {
+        this.cancel(stationMeta)
+        this._failed.delete(stationMeta.path)
+
+        const cache = await caches.open(DATA_CACHE_NAME)
+        const manifestUrl = toAbsoluteUrl(MANIFEST_PATH + stationMeta.path)
+        const manifestRootUrl = toAbsoluteUrl(MANIFEST_PATH)
+
+        /** @type {Set<string>} */
+        const keepFiles = new Set()
+        for (const request of await cache.keys()) {
+            if (!request.url.startsWith(manifestRootUrl) || request.url === manifestUrl) continue
+
+            /** @type {DownloadManifest} */
+            const manifest = await (await cache.match(request)).json()
+            manifest.files.forEach((file) => { keepFiles.add(toAbsoluteUrl(file)) })
+        }
+
+        // Files of a cancelled download have no manifest, so every file the station uses is checked
+        for (const file of getStationFiles(stationMeta)) {
+            if (!keepFiles.has(toAbsoluteUrl(file))) await cache.delete(file)
+        }
+        await cache.delete(manifestUrl)
+        this._notify(stationMeta.path, null)
+    }
+
+    /**
+     * @private
+     * @param {string} stationPath
+     * @param {DownloadProgress | null} progress
+     */
+    _notify(stationPath, progress) {
+        this._listeners.forEach((listener) => { listener(stationPath, progress) })
+    }
+}
+
+export const stationDownloads = new StationDownloads()
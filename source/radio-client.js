@@ -0,0 +1,138 @@
+import { radioMetaPromise, getDataPath } from "./constants.js"
+import { StationMeta, PlayableSegment } from "./radio.js"
+import { radioSettings } from "./settings.js"
+import { handleRequest } from "./radio-worker.js"
+import { now, addClockOffsetListener } from "./time-source.js"
+
+/** @typedef {import("./radio-worker.js").EngineMethod} EngineMethod */
+/** @typedef {import("./radio-worker.js").SerializedSegment} SerializedSegment */
+/** @typedef {{ method: EngineMethod, args: any[], resolve: (value: any) => void, reject: (reason: any) => void }} PendingRequest */
+
+/** @type {?Worker} */
+let worker = null
+/** @type {Map<number, PendingRequest>} */
+const pendingRequests = new Map()
+let nextRequestId = 0
+
+/** Stops using the worker and runs the engine on the page instead, pending requests are re-run */
+function fallbackToPage(reason) {
+    console.warn("Radio engine worker is unavailable, running schedule simulations on the main thread:", reason)
+
+    if (worker) worker.terminate()
+    worker = null
+
+    for (const request of pendingRequests.values()) {
+        handleRequest(request.method, request.args).then(request.resolve, request.reject)
+    }
+    pendingRequests.clear()
+}
+
+try {
+    worker = new Worker("source/radio-worker.js", { type: "module" })
+
+    worker.onmessage = (event) => {
+        const { id, result, error } = event.data
+        const request = pendingRequests.get(id)
+        if (!request) return
+
+        pendingRequests.delete(id)
+        if (error !== undefined) request.reject(new Error(error))
+        else request.resolve(result)
+    }
+    worker.onerror = (event) => {
+        event.preventDefault()
+        fallbackToPage(event.message)
+    }
+
+    radioMetaPromise.then((meta) => { request("setRadioMeta", meta, getDataPath()) })
+    radioSettings.subscribe((key, value) => { request("setRadioSetting", key, value) }, true)
+    addClockOffsetListener((offset) => { request("setClockOffset", offset) })
+} catch (err) {
+    fallbackToPage(err)
+}
+
+/**
+ * Runs a method of the radio engine, in the worker if available
+ * @param {EngineMethod} method
+ * @param {...any} args
+ * @returns {Promise<any>}
+ */
+function request(method, ...args) {
+    if (!worker) return handleRequest(method, args)
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++
+        pendingRequests.set(id, { method, args, resolve, reject })
+        worker.postMessage({ id, method, args })
+    })
+}
+
+/**
+ * @param {SerializedSegment} serialized
+ * @param {number} timeOffset - Offset (in milliseconds) between the station timeline and real time
+ */
+function toPlayableSegment(serialized, timeOffset) {
+    const segment = new PlayableSegment(serialized.info, serialized.startTimestamp - timeOffset)
+    segment.voiceovers = serialized.voiceovers
+    return segment
+}
+
+/** Radio station that is simulated by the radio engine worker, mirrors the `RadioStation` API asynchronously */
+export class RemoteStation extends StationMeta {
+    /**
+     * Offset (in milliseconds) between the station timeline and real time, used for listening to the station as it aired at another time.
+     * Returned segments are shifted by it, so they can be played in real time.
+     * @type {number}
+     */
+    timeOffset = 0
+
+    /**
+     * @param {string} path
+     * @param {import("./types.js").StationMetadata} meta
+     * @param {number} handle - Handle of the station in the radio engine
+     */
+    constructor(path, meta, handle) {
+        super(path, meta)
+        /** @readonly @type {number} */
+        this.handle = handle
+    }
+
+    /**
+     * Retrieves the segment that is currently synced to time (shifted by `timeOffset`), affects station state
+     * @returns {Promise<PlayableSegment>}
+     */
+    async getSyncedSegment() { return toPlayableSegment(await request("getSyncedSegment", this.handle, now() + this.timeOffset), this.timeOffset) }
+
+    /**
+     * Retrieves the next segment, affects station state
+     * @returns {Promise<PlayableSegment>}
+     */
+    async nextSegment() { return toPlayableSegment(await request("nextSegment", this.handle), this.timeOffset) }
+
+    /**
+     * Retrieves the next segment without affecting station state
+     * @returns {Promise<PlayableSegment>}
+     */
+    async peekNextSegment() { return toPlayableSegment(await request("peekNextSegment", this.handle), this.timeOffset) }
+
+    /**
+     * @param {Parameters<import("./radio.js").RadioStation["getSchedule"]>[0]} limits
+     * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+     */
+    getSchedule(limits) { return request("getSchedule", this.handle, limits) }
+
+    /** Releases the station in the radio engine, it can't be used afterwards */
+    destroy() { request("destroyStation", this.handle) }
+}
+
+/**
+ * Creates a station for the given metadata in the radio engine
+ * @param {StationMeta} stationMeta
+ * @returns {Promise<RemoteStation>}
+ */
+export async function createRemoteStation(stationMeta) {
+    if (!await stationMeta.loadMeta()) throw new Error(`Station "${stationMeta.path}" is unavailable, its metadata failed to load`)
+
+    const handle = await request("createStation", stationMeta.path, stationMeta.meta)
+    return new RemoteStation(stationMeta.path, stationMeta.meta, handle)
+}
@@ -0,0 +1,101 @@
+import { setRadioMeta } from "./constants.js"
+import { StationMeta, RadioStation, PlayableSegment } from "./radio.js"
+import { radioSettings } from "./settings.js"
+import { setClockOffset } from "./time-source.js"
+
+/** @typedef {{ info: import("./types.js").SegmentInfo, voiceovers: import("./types.js").VoiceoverInfo[], startTimestamp: number }} SerializedSegment */
+
+/** @type {Map<number, RadioStation>} */
+const stations = new Map()
+let nextHandle = 1
+
+/** @param {number} handle */
+function getStation(handle) {
+    const station = stations.get(handle)
+    if (!station) { throw new Error(`Station with handle ${handle} does not exist`) }
+    return station
+}
+
+/**
+ * @param {PlayableSegment} segment
+ * @returns {SerializedSegment}
+ */
+function serializeSegment(segment) {
+    return { info: segment.info, voiceovers: segment.voiceovers, startTimestamp: segment.startTimestamp }
+}
+
+/** Engine methods callable from `radio-client.js`, stations are referenced by handles since they can't be sent between threads */
+const methods = {
+    /**
+     * @param {import("./types.js").RadioMetadata} meta
+     * @param {string} dataPath
+     */
+    setRadioMeta(meta, dataPath) { setRadioMeta(meta, dataPath) },
+
+    /**
+     * @param {any} key
+     * @param {any} value
+     */
+    setRadioSetting(key, value) { radioSettings.set(key, value) },
+
+    /** @param {number} offset */
+    setClockOffset(offset) { setClockOffset(offset) },
+
+    /**
+     * @param {string} path
+     * @param {import("./types.js").StationMetadata} meta
+     * @returns {Promise<number>} Handle of the created station
+     */
+    async createStation(path, meta) {
+        const station = await new StationMeta(path, meta).createStation()
+
+        const handle = nextHandle++
+        stations.set(handle, station)
+        return handle
+    },
+
+    /** @param {number} handle */
+    destroyStation(handle) { stations.delete(handle) },
+
+    /**
+     * @param {number} handle
+     * @param {number} timestamp
+     */
+    getSyncedSegment(handle, timestamp) { return serializeSegment(getStation(handle).getSyncedSegment(timestamp)) },
+
+    /** @param {number} handle */
+    nextSegment(handle) { return serializeSegment(getStation(handle).nextSegment()) },
+
+    /** @param {number} handle */
+    peekNextSegment(handle) { return serializeSegment(getStation(handle).clone().nextSegment()) },
+
+    /**
+     * @param {number} handle
+     * @param {Parameters<RadioStation["getSchedule"]>[0]} limits
+     */
+    getSchedule(handle, limits) { return getStation(handle).getSchedule(limits) }
+}
+
+/** @typedef {keyof typeof methods} EngineMethod */
+
+/**
+ * Runs an engine method
+ * @param {EngineMethod} method
+ * @param {any[]} args
+ */
+export async function handleRequest(method, args) {
+    if (!(method in methods)) { throw new Error(`Unknown radio engine method "${method}"`) }
+    return /** @type {Function} */ (methods[method])(...args)
+}
+
+// Only listen for messages when loaded as a worker, the page may also import this module as a fallback
+if (typeof window === "undefined") {
+    self.onmessage = async (event) => {
+        const { id, method, args } = event.data
+        try {
+            self.postMessage({ id, result: await handleRequest(method, args) })
+        } catch (err) {
+            self.postMessage({ id, error: err instanceof Error ? err.message : String(err) })
+        }
+    }
+}
@@ -1,5 +1,8 @@
-import { radioMeta, getDataPath } from "./constants.js"
-import { SeededPRNG, IndexDrawPoolManager } from "./utility.js"
+import { radioMeta, getDataPath, fetchFromMirrors } from "./constants.js"
+import { radioSettings } from "./settings.js"
+import { SeededPRNG, IndexDrawPoolManager, getGtaOnlineTime, hashString } from "./utility.js"
+import { now } from "./time-source.js"
+import { syncCheckpoints } from "./checkpoints.js"
 
 /**
  * @typedef {number} SegmentCategory
@@ -23,18 +26,165 @@ export function getCategoryId(categoryValue) {
             return "id"
         case CAT.MUSIC:
             return "track"
+        case CAT.NEWS:
+            return "news"
         case CAT.DJSOLO:
             return "mono_solo"
     }
 }
 
+const ABSOLUTE_PATH_REGEX = /^[a-z][a-z0-9+.-]*:/i
+
 const DEFAULT_DJ_INTRO_OFFSET_MS = 4000
 const DEFAULT_DJ_OUTRO_OFFSET_MS = 4000
+const TIME_OF_DAY_INTRO_CHANCE = 0.35
+const GENERAL_INTRO_CHANCE = 0.4
+/** Shortest gap (in seconds) filled when segments are skipped, shorter gaps are left silent */
+const MIN_FILL_TIME = 1
+/** Time (in seconds) left in the segment in progress after a sync reset ident that is filled, instead of joining the segment part-way */
+const MAX_JOIN_FILL_TIME = 30
+/** Times one filler can play while filling a gap, once every filler has played this often the rest of the gap is left silent */
+const MAX_FILLER_PLAYS = 2
+
+/** @type {Required<RotationRules>} - Rules used for anything a station does not declare in `rotationRules` */
+const DEFAULT_ROTATION_RULES = {
+    breakChance: 0.5,
+    breakWeights: null,
+    maxTracksBetweenBreaks: Infinity,
+    adBreakLength: [2, 3],
+    breakIdents: true,
+    repeatWindows: { default: 8 }
+}
+
+/**
+ * Picks one of the options, with a chance proportional to its weight
+ * @template T
+ * @param {T[]} options
+ * @param {?Record<string, number>} weights - Weights by option id, options without a weight have a weight of 1. If null, options are equally likely
+ * @param {(option: T) => string} getId
+ * @param {number} randNum - Random integer from 0 to 4294967295
+ * @returns {T | null} Picked option, or null if there is nothing to pick
+ */
+function pickWeighted(options, weights, getId, randNum) {
+    if (!weights) return options.length > 0 ? options[randNum % options.length] : null
+
+    const optionWeights = options.map((option) => Math.max(0, getId(option) in weights ? weights[getId(option)] : 1))
+    const totalWeight = optionWeights.reduce((total, weight) => total + weight, 0)
+    if (totalWeight <= 0) return null
+
+    let target = (randNum / 0x100000000) * totalWeight
+    let picked = null
+    for (let i = 0; i < options.length; i++) {
+        if (optionWeights[i] <= 0) continue
+
+        picked = options[i]
+        target -= optionWeights[i]
+        if (target < 0) break
+    }
+    return picked
+}
+
+/**
+ * Gets the file group of DJ lines matching the time of day
+ * @param {number} timestamp - UTC time (in milliseconds)
+ * @returns {"time_morning" | "time_evening" | null}
+ */
+function getTimeOfDayGroup(timestamp) {
+    const hour = (radioSettings.get("djClock") === "online")
+        ? parseInt(getGtaOnlineTime(timestamp).hh)
+        : new Date(timestamp).getHours()
+
+    if (hour >= 5 && hour < 12) return "time_morning"
+    if (hour >= 18) return "time_evening"
+    return null
+}
 
 /** @typedef {import("./types.js").StationMetadata} StationMetadata */
 /** @typedef {import("./types.js").SegmentInfo} SegmentInfo */
 /** @typedef {import("./types.js").StationType} StationType */
 /** @typedef {import("./types.js").IconType} IconType */
+/** @typedef {import("./types.js").TakeoverInfo} TakeoverInfo */
+/** @typedef {import("./types.js").ScheduleEntry} ScheduleEntry */
+/** @typedef {import("./types.js").StationState} StationState */
+/** @typedef {import("./types.js").RotationRules} RotationRules */
+/**
+ * @typedef {{
+ *  endTimestamp: number
+ *  cursor: number
+ *  previousPath: ?string
+ *  plays: Object<string, number>
+ *  PRNG: SeededPRNG
+ * }} SegmentFill - `endTimestamp` is the UTC time (in milliseconds) the skipped segments end at, `cursor` is where the next filler starts, `plays` counts plays by filler path
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000
+
+/**
+ * Checks if a takeover is scheduled at the given time
+ * @param {TakeoverInfo} takeover
+ * @param {number} timestamp - UTC time (in milliseconds)
+ * @param {number} startTimestamp - UTC time (in milliseconds) when the station sync was reset, rotations are relative to it
+ */
+function isTakeoverActive(takeover, timestamp, startTimestamp) {
+    const date = new Date(timestamp)
+    const hour = date.getUTCHours() + (date.getUTCMinutes() / 60)
+
+    for (const timeWindow of takeover.windows || []) {
+        const wrapsMidnight = timeWindow.endHour < timeWindow.startHour
+        // Windows that wrap past midnight belong to the day they started on
+        const weekday = (wrapsMidnight && hour < timeWindow.endHour) ? (date.getUTCDay() + 6) % 7 : date.getUTCDay()
+        if (timeWindow.days && !timeWindow.days.includes(weekday)) continue
+
+        if (wrapsMidnight) {
+            if (hour >= timeWindow.startHour || hour < timeWindow.endHour) return true
+        } else if (hour >= timeWindow.startHour && hour < timeWindow.endHour) {
+            return true
+        }
+    }
+
+    const rotation = takeover.rotation
+    if (rotation) {
+        const elapsedHours = (timestamp - startTimestamp) / MS_PER_HOUR - (rotation.offsetHours || 0)
+        if (elapsedHours >= 0 && (elapsedHours % rotation.intervalHours) < rotation.durationHours) return true
+    }
+
+    return false
+}
+
+/** Amount of station time (in seconds) between sync checkpoints */
+const CHECKPOINT_INTERVAL = 4 * 60 * 60
+/** Increment when scheduling behavior changes, so checkpoints made by older versions are not used */
+const CHECKPOINT_VERSION = 6
+
+/**
+ * Gets the UTC time when station playback sync was reset for the given time, sync resets on the first day of every UTC month
+ * @param {number} timestamp - UTC time (in milliseconds)
+ * @returns {number}
+ */
+export function getSyncResetTimestamp(timestamp) {
+    const date = new Date(timestamp)
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+}
+
+/**
+ * Gets the PRNG seed of the timeline that starts at `startTimestamp`.
+ * The public timeline is seeded with the timestamp itself, a timeline code gives a private rotation shared by everyone using the same code.
+ * @param {number} startTimestamp
+ * @returns {number}
+ */
+function getTimelineSeed(startTimestamp) {
+    const timelineCode = radioSettings.get("timelineCode")
+    if (!timelineCode) return startTimestamp
+
+    return hashString(`${timelineCode}|${startTimestamp}`)
+}
+
+/** @type {WeakMap<StationMetadata, number>} */
+const metaHashCache = new WeakMap()
+let checkpointsPruned = false
+
+/** @type {WeakMap<TakeoverInfo, StationMetadata["fileGroups"]>} */
+const takeoverFileGroupCache = new WeakMap()
 
 /** Metadata for a radio station */
 export class StationMeta {
@@ -54,36 +204,51 @@ export class StationMeta {
 
     /**
      * Creates a radio station corresponding to the type defined in metadata
-     * @returns {Promise<RadioStation>}
+     * @returns {Promise<RadioStation>} Station with its sync checkpoints loaded
      */
     async createStation() {
         if (!this.meta) { await this.loadMeta() }
 
+        let station
         switch (this.meta.type) {
             case "static":
-                return new StaticStation(this.path, this.meta)
+                station = new StaticStation(this.path, this.meta)
+                break
             case "talkshow":
-                return new TalkshowStation(this.path, this.meta)
+                station = new TalkshowStation(this.path, this.meta)
+                break
+            case "self":
+                station = new SelfRadioStation(this.path, this.meta)
+                break
             default:
-                return new DynamicStation(this.path, this.meta)
+                station = new DynamicStation(this.path, this.meta)
         }
+
+        await station.loadCheckpoints()
+        return station
     }
 
-    /** Loads the metadata for this station, if it has not loaded already */
+    /**
+     * Loads the metadata for this station, if it has not loaded already. Loading is retried on the next call if it failed
+     * @returns {Promise<StationMetadata | undefined>} Metadata, undefined if it failed to load
+     */
     async loadMeta() {
         if (!this._metaPromise) {
-            this._metaPromise = fetch(this.getAbsolutePath("station.json"))
+            this._metaPromise = fetchFromMirrors(this.getAbsolutePath("station.json"))
                 .then(res => res.json())
                 .then(res => this.meta = res)
                 .catch((err) => {
                     console.error(`Failed to load "${this.path}" metadata:`, err)
+                    this._metaPromise = null
+                    return undefined
                 })
         }
         return this._metaPromise
     }
 
-    /** Gets the absolute path for a path relative to station */
+    /** Gets the absolute path for a path relative to station, paths that are already absolute (e.g., blob URLs) are kept as is */
     getAbsolutePath(relativePath) {
+        if (ABSOLUTE_PATH_REGEX.test(relativePath)) return relativePath
         return getDataPath() + this.path + "/" + relativePath
     }
 
@@ -154,7 +319,7 @@ export class PlayableSegment {
     }
 
     /** Segment progress in seconds */
-    get currentTime() { return (Date.now() - this.startTimestamp) / 1000 }
+    get currentTime() { return (now() - this.startTimestamp) / 1000 }
 
     getActiveTrackMarker() {
         const trackMarkers = this.info?.markers?.track
@@ -221,12 +386,51 @@ export class RadioStation extends StationMeta {
     _historyLimit = 2
     /** @type {Record<string, SegmentInfo[]>} */
     commonListCache = {}
+    /** @type {?TakeoverInfo} - Takeover that is scheduled for the current segment, if any */
+    activeTakeover = null
+    /** @type {?number} - UTC time (in milliseconds) to resync at once the transition across a sync reset has played, if one is playing */
+    resyncTimestamp = null
+    /** @type {?SegmentFill} - Fillers that play instead of skipped segments, if segments are being skipped */
+    segmentFill = null
     
     /**
-     * UTC time (in milliseconds) when the radio station playback sync was reset (resets every month)
+     * UTC time (in milliseconds) when the timeline the station follows was reset (resets every month)
      * @type {number}
      */
-    get startTimestamp() { return Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), 1) }
+    startTimestamp
+
+    /**
+     * File groups for the current segment, groups declared by the active takeover replace the station's own
+     * @type {StationMetadata["fileGroups"]}
+     */
+    get fileGroups() {
+        if (!this.activeTakeover) return this.meta.fileGroups
+
+        let fileGroups = takeoverFileGroupCache.get(this.activeTakeover)
+        if (!fileGroups) {
+            fileGroups = Object.assign({}, this.meta.fileGroups, this.activeTakeover.fileGroups)
+            takeoverFileGroupCache.set(this.activeTakeover, fileGroups)
+        }
+        return fileGroups
+    }
+
+    /**
+     * Rotation rules of the station, rules that are not declared in metadata use the default rotation
+     * @type {Required<RotationRules>}
+     */
+    get rotationRules() {
+        return Object.assign({}, DEFAULT_ROTATION_RULES, this.meta.rotationRules)
+    }
+
+    /**
+     * Minimum and maximum number of adverts in an ad break
+     * @type {[number, number]}
+     */
+    get adBreakRange() {
+        const adBreakLength = this.rotationRules.adBreakLength
+        const [min, max] = Array.isArray(adBreakLength) ? adBreakLength : [adBreakLength, adBreakLength]
+        return [Math.max(1, min), Math.max(1, min, max)]
+    }
 
     get historyLimit() { return this._historyLimit }
 
@@ -239,15 +443,24 @@ export class RadioStation extends StationMeta {
         super(path, meta)
         if (this.constructor === RadioStation) { throw new Error("Abstract class 'RadioStation' cannot be instantiated directly.") }
 
-        this.resetState()
+        this.resetState(now())
+
+        // Rotation rules count segments in a row using history, so it has to be long enough to count them
+        const { maxTracksBetweenBreaks } = this.rotationRules
+        this._historyLimit = Math.max(this._historyLimit, this.adBreakRange[1] + 1, Number.isFinite(maxTracksBetweenBreaks) ? maxTracksBetweenBreaks : 0)
     }
 
-    resetState() {
+    /** @param {number} timestamp - UTC time (in milliseconds) within the timeline to reset to, defaults to the current timeline */
+    resetState(timestamp = this.startTimestamp) {
+        this.startTimestamp = getSyncResetTimestamp(timestamp)
+        this.resyncTimestamp = null
+        this.segmentFill = null
         this.accumulatedTime = 0
         this.segmentIndex = 0
         this.trackIndex = 0
         this.segmentHistory = []
-        this.PRNG = new SeededPRNG(this.startTimestamp)
+        this.activeTakeover = null
+        this.PRNG = new SeededPRNG(getTimelineSeed(this.startTimestamp))
         this.indexDrawPools = new IndexDrawPoolManager()
     }
 
@@ -266,12 +479,19 @@ export class RadioStation extends StationMeta {
         cloned.meta = this.meta
         cloned._historyLimit = this._historyLimit
         cloned.commonListCache = this.commonListCache
+        cloned.startTimestamp = this.startTimestamp
+        cloned.activeTakeover = null
+        cloned.resyncTimestamp = null
+        cloned.segmentFill = null
 
         if (keepState) {
             cloned.segmentHistory = Array.from(this.segmentHistory)
             cloned.accumulatedTime = this.accumulatedTime
             cloned.segmentIndex = this.segmentIndex
             cloned.trackIndex = this.trackIndex
+            cloned.activeTakeover = this.activeTakeover
+            cloned.resyncTimestamp = this.resyncTimestamp
+            cloned.segmentFill = this.segmentFill && Object.assign({}, this.segmentFill, { plays: Object.assign({}, this.segmentFill.plays), PRNG: this.segmentFill.PRNG.clone() })
             cloned.PRNG = this.PRNG.clone()
             cloned.indexDrawPools = this.indexDrawPools.clone()
         }
@@ -279,6 +499,86 @@ export class RadioStation extends StationMeta {
         return cloned
     }
 
+    /**
+     * Serializes the scheduling state of the station to a JSON compatible object
+     * @returns {StationState}
+     */
+    serializeState() {
+        return {
+            accumulatedTime: this.accumulatedTime,
+            segmentIndex: this.segmentIndex,
+            trackIndex: this.trackIndex,
+            segmentHistory: Array.from(this.segmentHistory),
+            prngIndex: this.PRNG.index,
+            drawPools: this.indexDrawPools.serialize()
+        }
+    }
+
+    /**
+     * Loads scheduling state created by `serializeState()`
+     * @param {StationState} state
+     */
+    deserializeState(state) {
+        this.accumulatedTime = state.accumulatedTime
+        this.segmentIndex = state.segmentIndex
+        this.trackIndex = state.trackIndex
+        this.segmentHistory = Array.from(state.segmentHistory)
+        this.PRNG.index = state.prngIndex
+        this.indexDrawPools = IndexDrawPoolManager.deserialize(state.drawPools)
+    }
+
+    /**
+     * Identifies the timeline of this station, checkpoints can only be shared by stations with the same key
+     * @type {string}
+     */
+    get checkpointKey() {
+        let metaHash = metaHashCache.get(this.meta)
+        if (metaHash === undefined) {
+            metaHash = hashString(JSON.stringify(this.meta))
+            metaHashCache.set(this.meta, metaHash)
+        }
+
+        return `${this.path}|${this.startTimestamp}|${this.PRNG.seed}|${metaHash}|v${CHECKPOINT_VERSION}`
+    }
+
+    /** Loads persisted sync checkpoints for this station into memory */
+    async loadCheckpoints() {
+        if (!checkpointsPruned) {
+            checkpointsPruned = true
+            syncCheckpoints.prune(this.startTimestamp)
+        }
+        if (this.meta.type !== "self") await syncCheckpoints.load(this.checkpointKey)
+    }
+
+    /**
+     * Resets station state, then restores the latest checkpoint that satisfies the predicate
+     * @private
+     * @param {(checkpoint: StationState) => boolean} predicate
+     * @param {number} [timestamp] - UTC time (in milliseconds) within the timeline to reset to, defaults to the current timeline
+     */
+    _restoreCheckpoint(predicate, timestamp = this.startTimestamp) {
+        this.resetState(timestamp)
+
+        const checkpoint = syncCheckpoints.findLatest(this.checkpointKey, predicate)
+        if (checkpoint) this.deserializeState(checkpoint)
+    }
+
+    /**
+     * Saves a checkpoint if the station is far enough past the last one.
+     * Must only be called while simulating from a checkpoint or reset state, as resolving segments affects state.
+     * @private
+     */
+    _saveCheckpoint() {
+        const key = this.checkpointKey
+        const last = syncCheckpoints.last(key)
+        const lastTime = last ? last.accumulatedTime : 0
+
+        if (this.accumulatedTime - lastTime >= CHECKPOINT_INTERVAL) {
+            // Self Radio tracks are blob URLs that change every session, so its checkpoints could never be loaded again
+            syncCheckpoints.add(key, this.startTimestamp, this.serializeState(), this.meta.type !== "self")
+        }
+    }
+
     /**
      * Resolves details for playable segments.
      * 
@@ -311,7 +611,7 @@ export class RadioStation extends StationMeta {
     /**
      * Returns a segment from the station playlist relative to the current segment index.
      *
-     * If the segment is not available in history, it simulates playback from the start to reconstruct it.
+     * If the segment is not available in history, it simulates playback from the nearest checkpoint to reconstruct it.
      *
      * @param {number} segmentOffset
      *  + Positive for upcoming segments,
@@ -330,12 +630,13 @@ export class RadioStation extends StationMeta {
                 return this.segmentHistory[historyIndex]
             }
 
-            // Reset station state and simulate tracks from beginning
+            // Simulate tracks from the nearest checkpoint, or from the beginning
             const simulatedStation = this.clone(false)
-            simulatedStation.resetState()
+            simulatedStation._restoreCheckpoint((checkpoint) => checkpoint.segmentIndex <= targetIndex)
     
             let segment = null
-            for (let i = 0; i <= targetIndex; i++) {
+            while (simulatedStation.segmentIndex <= targetIndex) {
+                simulatedStation._saveCheckpoint()
                 segment = simulatedStation._nextSegmentInfo()
             }
             return segment
@@ -360,24 +661,38 @@ export class RadioStation extends StationMeta {
      * @returns {PlayableSegment} The next segment to be played.
      */
     nextSegment() {
-        return this._nextSegmentInfo((segmentInfo) => {
+        if (this.resyncTimestamp !== null) { return this._joinSyncedTimeline(this.resyncTimestamp) }
+
+        if (this.segmentFill) {
+            const filler = this._nextSegmentFiller()
+            if (filler) { return filler }
+        }
+
+        const segmentStart = this.startTimestamp + (this.accumulatedTime * 1000)
+        if (getSyncResetTimestamp(segmentStart) !== this.startTimestamp) { return this._crossSyncReset(segmentStart) }
+
+        return this._skipSegments(this._nextSegmentInfo((segmentInfo) => {
             return this._newPlayableSegment(segmentInfo)
-        })
+        }))
     }
 
     /**
-     * Retrieves the segment that is currently synced to time.
+     * Retrieves the segment that is synced to the given time, which can be any moment in the past or future.
      * 
-     * This method affects station state, such as incrementing `accumulatedTime`,
-     * and modifying other internal state properties.
+     * This method resets the station to the timeline of that time and affects station state,
+     * such as incrementing `accumulatedTime`, and modifying other internal state properties.
      * 
+     * @param {number} [timestamp] - UTC time (in milliseconds), defaults to now
      * @returns {PlayableSegment}
      */
-    getSyncedSegment() {
-        this.resetState()
-        
-        const now = Date.now() - this.startTimestamp
+    getSyncedSegment(timestamp = now()) {
+        this.segmentFill = null
+
+        const now = timestamp - getSyncResetTimestamp(timestamp)
+        this._restoreCheckpoint((checkpoint) => checkpoint.accumulatedTime * 1000 <= now, timestamp)
+
         while (true) {
+            this._saveCheckpoint()
             const segment = this._nextSegmentInfo((segmentInfo) => {
                 const segmentDuration = segmentInfo.audibleDuration || segmentInfo.duration
                 const time = (this.accumulatedTime + segmentDuration) * 1000
@@ -386,8 +701,148 @@ export class RadioStation extends StationMeta {
                 return null
             })
     
-            if (segment) { return segment }
+            if (segment) { return this._skipSegments(segment, timestamp) }
+        }
+    }
+
+    /**
+     * Computes a program guide of upcoming segments, starting after the last segment the station played.
+     * The station state is not affected, the schedule is simulated on a clone.
+     * 
+     * At least one limit should be given, the schedule ends when either one is reached.
+     * 
+     * @param {Object} limits
+     * @param {number} [limits.count] - Maximum amount of segments
+     * @param {number} [limits.hours] - Maximum amount of hours ahead, segments starting after this are excluded
+     * @returns {ScheduleEntry[]}
+     */
+    getSchedule({ count = Infinity, hours = Infinity } = {}) {
+        if (!Number.isFinite(count) && !Number.isFinite(hours)) { throw new Error("getSchedule() requires a finite count or hours limit") }
+
+        const simulatedStation = this.clone()
+        const endTimestamp = simulatedStation.startTimestamp + (simulatedStation.accumulatedTime * 1000) + (hours * MS_PER_HOUR)
+
+        /** @type {ScheduleEntry[]} */
+        const schedule = []
+        let scheduleEnd = -Infinity
+        while (schedule.length < count) {
+            const segment = simulatedStation.nextSegment() // Follows the station across sync resets
+            if (segment.startTimestamp >= endTimestamp) break
+
+            const entry = createScheduleEntry(segment.info, segment.startTimestamp)
+            if (entry.startTimestamp < scheduleEnd) trimScheduleEntry(entry, scheduleEnd) // Joined part-way after a sync reset
+            scheduleEnd = entry.startTimestamp + (entry.duration * 1000)
+            schedule.push(entry)
+        }
+        return schedule
+    }
+
+    /**
+     * Returns the first takeover declared in metadata that is scheduled at the given time
+     * @param {number} timestamp - UTC time (in milliseconds)
+     * @returns {?TakeoverInfo}
+     */
+    getTakeover(timestamp) {
+        for (const takeover of this.meta.takeovers || []) {
+            if (isTakeoverActive(takeover, timestamp, this.startTimestamp)) return takeover
+        }
+        return null
+    }
+
+    /**
+     * Returns a unique index using the draw pool identified by `id`.
+     * Takeovers use their own draw pools, so the station's regular rotation is unaffected by them.
+     * 
+     * @protected
+     * @param {string} id
+     * @param {number} sourceSize
+     * @param {number} randomInteger
+     */
+    nextUniqueIndex(id, sourceSize, randomInteger) {
+        const poolId = this.activeTakeover ? `${this.activeTakeover.id}/${id}` : id
+        const repeatWindows = this.rotationRules.repeatWindows
+        const fallback = ("default" in repeatWindows) ? repeatWindows.default : DEFAULT_ROTATION_RULES.repeatWindows.default // 0 turns repeat protection off
+        const dontRepeatFor = (id in repeatWindows) ? repeatWindows[id] : fallback
+
+        return this.indexDrawPools.nextUniqueIndex(poolId, sourceSize, randomInteger, dontRepeatFor)
+    }
+
+    /**
+     * @protected
+     * @param {number} randNum
+     * @returns {?SegmentInfo}
+     */
+    getRandomIdent(randNum) {
+        const idents = this.fileGroups.id
+        if (!idents || idents.length === 0) return null
+
+        return setSegmentCategory(idents[this.nextUniqueIndex("id", idents.length, randNum)], CAT.IDENTS)
+    }
+
+    /**
+     * Starts an ad break, the number of adverts in it is picked once and kept on the first segment of the break
+     * @protected
+     * @param {number} randNum
+     * @returns {?SegmentInfo} Ident that opens the ad break, or its first advert if there is no ident to open it with
+     */
+    startAdBreak(randNum) {
+        const adverts = this.getCommonList("adverts")
+        if (adverts.length === 0) return null
+
+        const [min, max] = this.adBreakRange
+        const adBreakLength = Math.min(min + this.PRNG.next() % (max - min + 1), adverts.length)
+
+        const opener = (this.rotationRules.breakIdents && this.getRandomIdent(randNum))
+            || setSegmentCategory(adverts[this.nextUniqueIndex("adverts", adverts.length, randNum)], CAT.ADVERTS)
+        opener.adBreakLength = adBreakLength
+        return opener
+    }
+
+    /**
+     * Returns the number of adverts left in the ad break that is playing
+     * @protected
+     * @returns {number} Adverts left, 0 if the ad break is over or none is playing
+     */
+    getAdBreakRemaining() {
+        const played = this.countInRow(CAT.ADVERTS)
+        const opener = this.segmentHistory[played]?.adBreakLength ? this.segmentHistory[played] : this.segmentHistory[played - 1]
+        if (!opener?.adBreakLength) return 0
+
+        return Math.max(0, opener.adBreakLength - played)
+    }
+
+    /**
+     * Picks the next advert of the ad break that is playing, adverts never repeat within a break
+     * @protected
+     * @param {number} randNum
+     * @returns {?SegmentInfo} Advert, or null if the ad break is over
+     */
+    nextAdBreakAdvert(randNum) {
+        if (this.getAdBreakRemaining() === 0) return null
+
+        const adverts = this.getCommonList("adverts")
+        let advert = adverts[this.nextUniqueIndex("adverts", adverts.length, randNum)]
+
+        // The draw pool can repeat an advert within a break if its repeat window is shorter than the break, one that hasn't played is picked instead
+        const playedPaths = this.segmentHistory.slice(0, this.countInRow(CAT.ADVERTS)).map((played) => played.path)
+        if (playedPaths.includes(advert.path)) {
+            const remaining = adverts.filter((info) => !playedPaths.includes(info.path))
+            if (remaining.length === 0) return null
+            advert = remaining[randNum % remaining.length]
         }
+
+        return setSegmentCategory(advert, CAT.ADVERTS)
+    }
+
+    /**
+     * Counts the latest segments in history that are of the category in a row, limited by `historyLimit`
+     * @protected
+     * @param {number} category
+     */
+    countInRow(category) {
+        let count = 0
+        while (count < this.segmentHistory.length && this.segmentHistory[count].category === category) count++
+        return count
     }
 
     /**
@@ -404,7 +859,7 @@ export class RadioStation extends StationMeta {
 
         if (listCategory in this.meta.common) {
             for (const listId of this.meta.common[listCategory]) {
-                resultList = resultList.concat(radioMeta.common[listId])
+                resultList = resultList.concat(radioMeta.common[listId] || [])
             }
         }
 
@@ -425,6 +880,7 @@ export class RadioStation extends StationMeta {
      * @returns {T}
      */
     _nextSegmentInfo(onAfterRegister = null) {
+        this.activeTakeover = this.getTakeover(this.startTimestamp + (this.accumulatedTime * 1000))
         const segmentInfo = this.impl_nextSegment()
 
         // Register in history
@@ -448,6 +904,149 @@ export class RadioStation extends StationMeta {
         return returnValue
     }
 
+    /**
+     * Plays an ident once the timeline has passed a sync reset, so the switch to the new timeline isn't a hard cut.
+     * The station joins the new timeline when the ident ends, or right away if the station has no idents.
+     * 
+     * @private
+     * @param {number} timestamp - UTC time (in milliseconds) when the last segment of the old timeline ends
+     * @returns {PlayableSegment}
+     */
+    _crossSyncReset(timestamp) {
+        const idents = this.fileGroups.id
+        if (!idents || idents.length === 0) { return this._joinSyncedTimeline(timestamp) }
+
+        const ident = setSegmentCategory(idents[this.PRNG.next() % idents.length], CAT.IDENTS)
+        this.resyncTimestamp = timestamp + ((ident.audibleDuration || ident.duration) * 1000)
+
+        return new PlayableSegment(this.resolveObjectPath(ident), timestamp)
+    }
+
+    /**
+     * Joins the timeline of the given time part-way through the segment in progress, the same way a listener tuning in at that time would.
+     * When little of the segment is left, the rest of it is filled instead.
+     * 
+     * @private
+     * @param {number} timestamp - UTC time (in milliseconds) to join the timeline at
+     * @returns {PlayableSegment}
+     */
+    _joinSyncedTimeline(timestamp) {
+        const segment = this.getSyncedSegment(timestamp)
+        const timeLeft = (segment.startTimestamp - timestamp) / 1000 + (segment.info.audibleDuration || segment.info.duration)
+        if (segment.startTimestamp >= timestamp || timeLeft > MAX_JOIN_FILL_TIME || this.segmentFill) { return segment }
+
+        // Station state is past the segment in progress, fillers last until then
+        this._startSegmentFill(timestamp)
+        return this._nextSegmentFiller() || this.nextSegment()
+    }
+
+    /**
+     * Whether segments of the category are skipped, adverts can be skipped and DJ solos are skipped in music only mode
+     * @private
+     * @param {number} category
+     */
+    _isSkipped(category) {
+        return (category === CAT.ADVERTS && radioSettings.get("skipAdverts")) || (category === CAT.DJSOLO && radioSettings.get("musicOnly"))
+    }
+
+    /**
+     * Replaces skipped segments with fillers.
+     * The skipped segments stay on the timeline, so the station stays in sync with other listeners, and the fillers last as long as the skipped segments did.
+     * 
+     * @private
+     * @param {PlayableSegment} segment
+     * @param {number} [timestamp] - UTC time (in milliseconds) to join the fillers at, defaults to the start of the segment
+     * @returns {PlayableSegment}
+     */
+    _skipSegments(segment, timestamp = segment.startTimestamp) {
+        if (!this._isSkipped(segment.info.category)) { return segment }
+
+        // Fillers are picked from the start of the skipped run, so listeners that join partway through it hear the same fillers
+        // History holds at least a whole ad break, the segment itself is its latest entry
+        let runStart = segment.startTimestamp
+        for (let i = 1; i < this.segmentHistory.length && this._isSkipped(this.segmentHistory[i].category); i++) {
+            runStart -= (this.segmentHistory[i].audibleDuration || this.segmentHistory[i].duration) * 1000
+        }
+
+        while (this._isSkipped(this.peekSegment(1)?.category)) {
+            this._nextSegmentInfo((segmentInfo) => this._newPlayableSegment(segmentInfo))
+        }
+
+        this._startSegmentFill(runStart)
+
+        let filler = this._nextSegmentFiller()
+        while (filler && this.segmentFill && this.segmentFill.cursor <= timestamp) {
+            filler = this._nextSegmentFiller()
+        }
+        return filler || this.nextSegment()
+    }
+
+    /**
+     * Fills the time from `cursor` until the end of the segment the station state is at with fillers
+     * @private
+     * @param {number} cursor - UTC time (in milliseconds) the first filler starts at, the fillers picked only depend on it
+     */
+    _startSegmentFill(cursor) {
+        this.segmentFill = {
+            endTimestamp: this.startTimestamp + (this.accumulatedTime * 1000),
+            cursor,
+            previousPath: null,
+            plays: {},
+            PRNG: new SeededPRNG(hashString(`${this.PRNG.seed}|${cursor}`))
+        }
+    }
+
+    /**
+     * Picks the next filler for skipped segments. Longer fillers are preferred, and no filler plays more than `MAX_FILLER_PLAYS` times.
+     * Music is never cut short, when nothing fits in the time left the last filler is a shortened ident or DJ solo, or the time is left silent.
+     * 
+     * @private
+     * @returns {?PlayableSegment} Filler, or null once the time of the skipped segments is filled
+     */
+    _nextSegmentFiller() {
+        const fill = this.segmentFill
+        const timeLeft = (fill.endTimestamp - fill.cursor) / 1000
+
+        /** @type {SegmentInfo[]} */
+        const fillers = []
+        for (const [category, list] of /** @type {[number, SegmentInfo[]][]} */ ([[CAT.IDENTS, this.fileGroups.id], [CAT.DJSOLO, this.fileGroups.mono_solo], [CAT.MUSIC, this.fileGroups.track]])) {
+            if (this._isSkipped(category)) continue
+            for (const info of list || []) {
+                if ((fill.plays[info.path] || 0) < MAX_FILLER_PLAYS) fillers.push(setSegmentCategory(info, category))
+            }
+        }
+
+        if (timeLeft < MIN_FILL_TIME || fillers.length === 0) {
+            this.segmentFill = null
+            return null
+        }
+
+        /** @param {SegmentInfo} info */
+        const getDuration = (info) => info.audibleDuration || info.duration
+
+        let filler
+        const fitting = fillers.filter((info) => getDuration(info) <= timeLeft && (info.path !== fill.previousPath || fillers.length === 1))
+        if (fitting.length > 0) {
+            const longest = Math.max(...fitting.map(getDuration))
+            const preferred = fitting.filter((info) => getDuration(info) >= longest / 2)
+            filler = preferred[fill.PRNG.next() % preferred.length]
+        } else {
+            const idents = fillers.filter((info) => info.category === CAT.IDENTS)
+            const cutFrom = (idents.length > 0) ? idents : fillers.filter((info) => info.category === CAT.DJSOLO)
+            if (cutFrom.length === 0) {
+                this.segmentFill = null
+                return null
+            }
+            filler = Object.assign({}, cutFrom[fill.PRNG.next() % cutFrom.length], { duration: timeLeft, audibleDuration: timeLeft })
+        }
+
+        const playableSegment = new PlayableSegment(this.resolveObjectPath(filler), fill.cursor)
+        fill.cursor += getDuration(filler) * 1000
+        fill.previousPath = filler.path
+        fill.plays[filler.path] = (fill.plays[filler.path] || 0) + 1
+        return playableSegment
+    }
+
     /**
      * Creates a new playable segment with a resolved path, startTimestamp and voiceovers
      * @private
@@ -463,6 +1062,42 @@ export class RadioStation extends StationMeta {
     }
 }
 
+/**
+ * Creates a program guide entry for a segment
+ * @param {SegmentInfo} segmentInfo
+ * @param {number} startTimestamp - UTC time (in milliseconds) when the segment starts playing
+ * @returns {ScheduleEntry}
+ */
+export function createScheduleEntry(segmentInfo, startTimestamp) {
+    const tracks = (segmentInfo.markers?.track || []).map((marker) => ({
+        title: marker.title,
+        artist: marker.artist,
+        startTimestamp: startTimestamp + marker.offset
+    }))
+
+    return {
+        category: segmentInfo.category,
+        startTimestamp,
+        duration: segmentInfo.audibleDuration || segmentInfo.duration,
+        tracks
+    }
+}
+
+/**
+ * Trims the start of a schedule entry, for segments that are joined part-way.
+ * Tracks that end before the new start are removed.
+ * @param {ScheduleEntry} entry
+ * @param {number} startTimestamp - UTC time (in milliseconds) the segment is heard from
+ */
+function trimScheduleEntry(entry, startTimestamp) {
+    entry.duration -= (startTimestamp - entry.startTimestamp) / 1000
+    entry.startTimestamp = startTimestamp
+
+    const tracks = entry.tracks
+    entry.tracks = tracks.filter((track, i) => i === tracks.length - 1 || tracks[i + 1].startTimestamp > startTimestamp)
+    entry.tracks.forEach((track) => { track.startTimestamp = Math.max(track.startTimestamp, startTimestamp) })
+}
+
 /**
  * @template T
  * @param {T & import("./types.js").RelativeAudioInfo} segmentInfo
@@ -478,7 +1113,7 @@ class StaticStation extends RadioStation {
     type = "static"
 
     impl_nextSegment() {
-        const segmentList = this.meta.fileGroups.track
+        const segmentList = this.fileGroups.track
         return setSegmentCategory(segmentList[this.segmentIndex % segmentList.length], CAT.MUSIC)
     }
 }
@@ -488,30 +1123,34 @@ class TalkshowStation extends RadioStation {
     type = "talkshow"
 
     getTrack() {
-        const segmentList = this.meta.fileGroups.track
+        const segmentList = this.fileGroups.track
         return segmentList[this.trackIndex % segmentList.length]
     }
 
     getRandomTransition(currentCategory) {
-        let category, transitions
+        const rules = this.rotationRules
+
+        const advert = this.nextAdBreakAdvert(this.PRNG.next())
+        if (advert) return advert
+
         if (currentCategory == CAT.ADVERTS || currentCategory == CAT.NEWS) {
-            category = CAT.IDENTS
-            transitions = this.meta.fileGroups.id
-        } else {
-            category = CAT.ADVERTS
-            transitions = this.getCommonList("adverts")
+            return rules.breakIdents ? this.getRandomIdent(this.PRNG.next()) : null
         }
+        if (currentCategory != CAT.MUSIC) return null
 
-        if (!transitions || transitions.length === 0) return null
+        const options = (this.getCommonList("news").length > 0) ? [CAT.NEWS, CAT.ADVERTS] : [CAT.ADVERTS]
+        const category = (options.length > 1) ? pickWeighted(options, rules.breakWeights, getCategoryId, this.PRNG.next()) : options[0]
+        if (category == CAT.ADVERTS) return this.startAdBreak(this.PRNG.next())
+        if (category === null) return null
 
-        const segmentInfo = transitions[this.indexDrawPools.nextUniqueIndex(getCategoryId(category), transitions.length, this.PRNG.next())]
-        return setSegmentCategory(segmentInfo, category)
+        const newsList = this.getCommonList("news")
+        return setSegmentCategory(newsList[this.nextUniqueIndex("news", newsList.length, this.PRNG.next())], CAT.NEWS)
     }
 
     impl_nextSegment() {
         const currentCategory = this.peekSegment(0)?.category
 
-        if ([CAT.MUSIC, CAT.NEWS, CAT.ADVERTS].includes(currentCategory)) {
+        if ([CAT.MUSIC, CAT.NEWS, CAT.ADVERTS].includes(currentCategory) || this.getAdBreakRemaining() > 0) {
             const transition = this.getRandomTransition(currentCategory)
             if (transition) return transition
         }
@@ -521,37 +1160,117 @@ class TalkshowStation extends RadioStation {
 }
 
 class DynamicStation extends RadioStation {
-    /** @readonly @type {"dynamic"} */
+    /** @readonly @type {"dynamic" | "self"} */
     type = "dynamic"
 
     getRandomTrack(randNum) {
-        const tracks = this.meta.fileGroups.track
-        return tracks[this.indexDrawPools.nextUniqueIndex("track", tracks.length, randNum)]
+        const tracks = this.fileGroups.track
+        return tracks[this.nextUniqueIndex("track", tracks.length, randNum)]
+    }
+
+    /**
+     * Picks the category of a break after music, following the break weights of the rotation rules
+     * @param {number} randNum
+     * @returns {?number} Category, or null if the station has nothing to break with
+     */
+    getBreakCategory(randNum) {
+        const options = []
+        if (this.fileGroups.mono_solo?.length > 0) options.push(CAT.DJSOLO)
+        if (this.getCommonList("adverts").length > 0) options.push(CAT.ADVERTS)
+        if (this.getCommonList("news").length > 0) options.push(CAT.NEWS)
+
+        return pickWeighted(options, this.rotationRules.breakWeights, getCategoryId, randNum)
     }
 
-    getRandomTransition(randNum) {
-        let select = randNum % 2 == 0 ? CAT.DJSOLO : CAT.ADVERTS
+    /**
+     * @param {number} randNum
+     * @param {?number} [select] - Category of the transition, picked by `getBreakCategory` if not provided
+     */
+    getRandomTransition(randNum, select = this.getBreakCategory(randNum)) {
+        if (select === null) return null
+        if (select == CAT.ADVERTS) return this.startAdBreak(randNum)
 
         const categoryId = getCategoryId(select)
-        let transitions
-        if (select == CAT.ADVERTS) {
-            transitions = this.getCommonList("adverts")
-        } else {
-            transitions = this.meta.fileGroups[categoryId]
-        }
+        const transitions = (select == CAT.NEWS) ? this.getCommonList("news") : this.fileGroups[categoryId]
 
-        const segmentInfo = transitions[this.indexDrawPools.nextUniqueIndex(categoryId, transitions.length, randNum)]
+        const segmentInfo = transitions[this.nextUniqueIndex(categoryId, transitions.length, randNum)]
         return setSegmentCategory(segmentInfo, select)
     }
 
-    getRandomId(randNum) {
-        const category = getCategoryId(CAT.IDENTS)
-        const idents = this.meta.fileGroups[category]
+    /**
+     * Draws the DJ lines a segment can use from draw pools and keeps their indexes on it.
+     * Segments are only resolved by listeners that play them, while every listener simulates every segment,
+     * so lines are drawn here to keep draw pools the same for everyone.
+     * @protected
+     * @param {SegmentInfo} segmentInfo
+     * @param {number} randNum
+     */
+    drawDJLines(segmentInfo, randNum) {
+        /** @type {string[]} */
+        const groups = []
+        // Both time of day groups are drawn from, which one is used depends on the listener's clock settings
+        if (segmentInfo.category == CAT.MUSIC) groups.push("general", "time_morning", "time_evening")
+        // Outro of the segment before is drawn with the break it leads into
+        if (segmentInfo.adBreakLength) groups.push("to_adverts")
+        else if (segmentInfo.category == CAT.NEWS) groups.push("to_news")
+
+        for (const group of groups) {
+            const lines = this.fileGroups[group]
+            if (!lines || lines.length === 0) continue
+
+            if (!segmentInfo.djLines) segmentInfo.djLines = {}
+            segmentInfo.djLines[group] = this.nextUniqueIndex((group === "to_adverts") ? "to_ad" : group, lines.length, randNum)
+        }
+    }
 
-        if (!idents || idents.length === 0) return null
+    /**
+     * Picks a DJ line for the time of day the track starts at, if it fits in the intro window of the track
+     * @param {PlayableSegment} playableSegment
+     * @returns {?import("./types.js").VoiceoverInfo}
+     */
+    getTimeOfDayIntro(playableSegment) {
+        const randNum = this.PRNG.next()
+        if (this.PRNG.toFloat(randNum) >= TIME_OF_DAY_INTRO_CHANCE) return null
+
+        return this.getDrawnIntro(playableSegment, getTimeOfDayGroup(playableSegment.startTimestamp))
+    }
+
+    /**
+     * Picks general DJ chatter for a track, if it fits in the intro window of the track
+     * @param {PlayableSegment} playableSegment
+     * @returns {?import("./types.js").VoiceoverInfo}
+     */
+    getGeneralIntro(playableSegment) {
+        const randNum = this.PRNG.next()
+        if (this.PRNG.toFloat(randNum) >= GENERAL_INTRO_CHANCE) return null
+
+        return this.getDrawnIntro(playableSegment, "general")
+    }
+
+    /**
+     * @param {PlayableSegment} playableSegment
+     * @param {?string} group - File group of the line
+     * @returns {?import("./types.js").VoiceoverInfo} Line drawn for the track by `drawDJLines`, or null if there is none
+     */
+    getDrawnIntro(playableSegment, group) {
+        const index = group && playableSegment.info.djLines?.[group]
+        if (index === undefined || index === null) return null
+
+        return this.fitIntroLine(this.fileGroups[group][index], playableSegment)
+    }
+
+    /**
+     * Places a DJ line at the start of the intro window of a track
+     * @param {import("./types.js").RelativeAudioInfo} line
+     * @param {PlayableSegment} playableSegment
+     * @returns {?import("./types.js").VoiceoverInfo} Voiceover, or null if the track has no intro window or the line does not fit in it
+     */
+    fitIntroLine(line, playableSegment) {
+        const introWindow = playableSegment.getSpeechWindows().intro
+        if (introWindow.start === undefined || introWindow.end === undefined) return null
+        if (line.duration * 1000 > introWindow.end - introWindow.start) return null
 
-        const segmentInfo = idents[this.indexDrawPools.nextUniqueIndex(category, idents.length, randNum)]
-        return setSegmentCategory(segmentInfo, CAT.IDENTS)
+        return Object.assign(this.resolveObjectPath(line), { offset: introWindow.start / 1000 })
     }
 
     /** @param {PlayableSegment} playableSegment  */
@@ -566,27 +1285,52 @@ class DynamicStation extends RadioStation {
             selectedIntro.offset = (timeWindows.intro.start || DEFAULT_DJ_INTRO_OFFSET_MS) / 1000
 
             playableSegment.voiceovers.push(selectedIntro)
+        } else if (segmentInfo.category == CAT.MUSIC) {
+            const generalIntro = this.getGeneralIntro(playableSegment)
+            const introLine = this.getTimeOfDayIntro(playableSegment) || generalIntro
+            if (introLine) playableSegment.voiceovers.push(introLine)
         }
 
-        const toAdsList = this.meta.fileGroups?.to_adverts
-        const toNewsList = this.meta.fileGroups?.to_news
-        if (nextSegment.category == CAT.ADVERTS && toAdsList) {
-            const selectedOutro = /** @type {any} */ (this.resolveObjectPath(toAdsList[this.indexDrawPools.nextUniqueIndex("to_ad", toAdsList.length, this.PRNG.next())]))
+        let outroGroup = null
+        if (nextSegment.adBreakLength) outroGroup = "to_adverts"
+        else if (nextSegment.category == CAT.NEWS) outroGroup = "to_news"
+
+        const outroIndex = outroGroup && nextSegment.djLines?.[outroGroup]
+        if (outroIndex !== undefined && outroIndex !== null && !(outroGroup === "to_adverts" && radioSettings.get("skipAdverts"))) {
+            const selectedOutro = /** @type {any} */ (this.resolveObjectPath(this.fileGroups[outroGroup][outroIndex]))
             selectedOutro.offset = ((timeWindows.outro?.end || (segmentInfo.duration - DEFAULT_DJ_OUTRO_OFFSET_MS)) - selectedOutro.duration) / 1000
 
             playableSegment.voiceovers.push(selectedOutro)
         }
+
+        // Voiceovers are still picked in music only mode, so the lines picked later are the same as for other listeners
+        if (radioSettings.get("musicOnly")) playableSegment.voiceovers = []
     }
 
     impl_nextSegment() {
         const randNum = this.PRNG.next()
+        const segmentInfo = this.pickNextSegment(randNum)
+        this.drawDJLines(segmentInfo, randNum)
+        return segmentInfo
+    }
+
+    /**
+     * @protected
+     * @param {number} randNum
+     * @returns {SegmentInfo}
+     */
+    pickNextSegment(randNum) {
         const randPercent = this.PRNG.toFloat(randNum) * 100
         const currentCategory = this.peekSegment(0)?.category
 
-        let segmentInfo
-        if (currentCategory == CAT.ADVERTS) {
-            segmentInfo = this.getRandomId(randNum)
-        } else if (currentCategory == CAT.MUSIC && randPercent < 50) {
+        const rules = this.rotationRules
+
+        let segmentInfo = this.nextAdBreakAdvert(randNum)
+        if (segmentInfo) { return segmentInfo }
+
+        if (currentCategory == CAT.ADVERTS || currentCategory == CAT.NEWS) {
+            if (rules.breakIdents) segmentInfo = this.getRandomIdent(randNum)
+        } else if (currentCategory == CAT.MUSIC && (randPercent < rules.breakChance * 100 || this.countInRow(CAT.MUSIC) >= rules.maxTracksBetweenBreaks)) {
             segmentInfo = this.getRandomTransition(randNum)
         }
 
@@ -594,4 +1338,10 @@ class DynamicStation extends RadioStation {
 
         return setSegmentCategory(this.getRandomTrack(randNum), CAT.MUSIC)        
     }
+}
+
+/** Station that plays the user's own audio files, with adverts in between like a dynamic station */
+class SelfRadioStation extends DynamicStation {
+    /** @readonly @type {"self"} */
+    type = "self"
 }
\ No newline at end of file
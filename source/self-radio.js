@@ -0,0 +1,142 @@
+import { radioMetaPromise } from "./constants.js"
+import { StationMeta } from "./radio.js"
+
+export const SELF_RADIO_PATH = "self_radio"
+
+/** @typedef {import("./types.js").StationMetadata} StationMetadata */
+/** @typedef {import("./types.js").SegmentInfo} SegmentInfo */
+
+/**
+ * Reads the duration of an audio file from its metadata
+ * @param {string} path
+ * @returns {Promise<number>} Duration in seconds
+ */
+function readAudioDuration(path) {
+    return new Promise((resolve, reject) => {
+        const audio = new Audio()
+        audio.preload = "metadata"
+        audio.addEventListener("loadedmetadata", () => {
+            if (Number.isFinite(audio.duration)) resolve(audio.duration)
+            else reject(new Error(`Audio "${path}" does not have a finite duration`))
+        }, { once: true })
+        audio.addEventListener("error", () => reject(audio.error), { once: true })
+        audio.src = path
+    })
+}
+
+/** Removes the file extension and common separators from a file name */
+function getTitleFromFileName(fileName) {
+    return fileName.replace(/\.[^/.]+$/, "").replace(/_/g, " ").trim()
+}
+
+/** Metadata for Self Radio, a station that is built from audio files supplied by the user */
+export class SelfRadioMeta extends StationMeta {
+    /** @private @type {?Promise<StationMetadata>} */
+    _selfMetaPromise = null
+    /** @type {SegmentInfo[]} - Tracks created from the user's files, sorted by file name */
+    tracks = []
+    /** @private @type {Map<string, string>} - Identity of the file (name, size and last modified time) each track was created from, by track path */
+    _fileKeys = new Map()
+
+    /** @param {StationMeta[]} stations - Stations that adverts are borrowed from */
+    constructor(stations) {
+        super(SELF_RADIO_PATH)
+        /** @readonly @type {StationMeta[]} */
+        this.stations = stations
+    }
+
+    get hasTracks() { return this.tracks.length > 0 }
+
+    /** Builds the metadata for this station, using the common adverts of every other station */
+    async loadMeta() {
+        if (!this._selfMetaPromise) {
+            this._selfMetaPromise = (async () => {
+                await radioMetaPromise
+
+                const advertLists = new Set()
+                for (const station of this.stations) {
+                    if (station === this) continue
+
+                    await station.loadMeta()
+                    for (const listId of station.meta?.common?.adverts || []) advertLists.add(listId)
+                }
+
+                /** @type {StationMetadata} */
+                const meta = {
+                    id: SELF_RADIO_PATH,
+                    type: "self",
+                    info: {
+                        title: "Self Radio",
+                        genre: "Your music",
+                        dj: "",
+                        icon: {
+                            color: new URL("assets/images/self_radio.svg", location.href).href,
+                            cover: new URL("assets/images/gta_v_full.png", location.href).href
+                        }
+                    },
+                    common: { adverts: Array.from(advertLists) },
+                    fileGroups: { track: this.tracks }
+                }
+                return this.meta = meta
+            })()
+        }
+        return this._selfMetaPromise
+    }
+
+    /**
+     * Adds audio files to the track list, files that cannot be read are skipped
+     * @param {Iterable<File>} files
+     * @returns {Promise<number>} Amount of tracks that were added
+     */
+    async addFiles(files) {
+        await this.loadMeta()
+
+        const addedKeys = new Set(this._fileKeys.values())
+
+        let added = 0
+        for (const file of files) {
+            if (!file.type.startsWith("audio/")) continue
+
+            // Different files can share a name (e.g., "Intro.mp3" from two albums), so the same file is recognized by its size and time too
+            const fileKey = `${file.name}|${file.size}|${file.lastModified}`
+            if (addedKeys.has(fileKey)) continue
+
+            const path = URL.createObjectURL(file)
+            try {
+                const duration = await readAudioDuration(path)
+                this.tracks.push(/** @type {SegmentInfo} */ ({
+                    path,
+                    duration,
+                    markers: { track: [{ offset: 0, title: getTitleFromFileName(file.name) }] }
+                }))
+                this._fileKeys.set(path, fileKey)
+                addedKeys.add(fileKey)
+                added++
+            } catch (err) {
+                URL.revokeObjectURL(path)
+                console.warn(`Failed to read Self Radio file "${file.name}":`, err)
+            }
+        }
+
+        // Keep the track order independent of the order files were picked in
+        this.tracks.sort((a, b) => a.markers.track[0].title.localeCompare(b.markers.track[0].title) || this._fileKeys.get(a.path).localeCompare(this._fileKeys.get(b.path)))
+        if (added > 0) this._replaceMeta()
+        return added
+    }
+
+    /** Removes every track from the track list */
+    clearTracks() {
+        for (const track of this.tracks) URL.revokeObjectURL(track.path)
+        this.tracks.length = 0
+        this._fileKeys.clear()
+        this._replaceMeta()
+    }
+
+    /**
+     * Replaces the metadata object after the track list changed, so state cached for the old metadata (e.g., sync checkpoints) is not reused
+     * @private
+     */
+    _replaceMeta() {
+        this.meta = Object.assign({}, this.meta, { fileGroups: { track: Array.from(this.tracks) } })
+    }
+}
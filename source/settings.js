@@ -112,6 +112,8 @@ class Settings {
 
     /** @private */
     _loadFromStorage() {
+        if (typeof localStorage === "undefined") return // Running in a worker, values are set by the page
+
         try {
             const raw = localStorage.getItem(this.uid)
             if (raw) {
@@ -131,6 +133,8 @@ class Settings {
             clearTimeout(this._saveTimeout)
         }
 
+        if (typeof localStorage === "undefined") return
+
         this._saveTimeout = setTimeout(() => {
             this._saveTimeout = null
             localStorage.setItem(
@@ -181,11 +185,27 @@ export class Property {
     _onChange(value) { this.listeners.forEach(listener => listener(value)) }
 }
 
+/** @typedef {"element" | "buffer"} PlaybackBackend */
+
 export const audioSettings = new Settings("audio-settings", {
     masterGain: 0.5,
     musicGain: 0.8,
     speechGain: 0.8,
-    sfxGain: 0.6
+    sfxGain: 0.6,
+    playbackBackend: /** @type {PlaybackBackend} */ ("element"),
+    latencyOffset: 0,
+    clockSync: true,
+    timeReference: ""
+})
+
+/** @typedef {"local" | "online"} DJClock */
+
+export const radioSettings = new Settings("radio-settings", {
+    djClock: /** @type {DJClock} */ ("local"),
+    timeShift: false,
+    timelineCode: "",
+    skipAdverts: false,
+    musicOnly: false
 })
 
 /** @typedef {"dark" | "light"} UITheme */
@@ -194,4 +214,8 @@ export const audioSettings = new Settings("audio-settings", {
 export const uiSettings = new Settings("ui-settings", {
     theme: /** @type {UITheme} */ ("dark"),
     accentColor: /** @type {UIAccentColor} */ ("online")
-})
\ No newline at end of file
+})
+
+export const dataSettings = new Settings("data-settings", {
+    mirrors: "local, github" // Data roots separated by commas in order of preference, see `getDataMirrors`
+})
@@ -1,35 +1,47 @@
 import { logs } from "./debug/logging.js"
-import { pageIcon } from "./constants.js"
-import { StationMeta, RadioStation, PlayableSegment } from "./radio.js"
+import { pageIcon, getMirrorPaths } from "./constants.js"
+import { audioSettings, radioSettings } from "./settings.js"
+import { StationMeta, PlayableSegment } from "./radio.js"
+import { RemoteStation, createRemoteStation } from "./radio-client.js"
 import audio, { MainTrack, preloadSegment, playSegment, stopAudioTracks } from "./audio.js"
 import { mod } from "./utility.js"
+import { now, addClockOffsetListener } from "./time-source.js"
+import { SelfRadioMeta } from "./self-radio.js"
 import Sounds from "./sounds.js"
 
 const RETUNE_DELAY_MS = 100
 const SEGMENT_PRELOAD_TIME = 15
 
-/** @type {?RadioStation} */
+/** @type {?RemoteStation} */
 export let station = null
 /** @type {?number} */
 export let stationIndex = null
 
 /** @type {StationMeta[]} */
 export let stationList = []
+/** Offset (in milliseconds) between the time stations are heard at and real time, 0 when listening live */
+export let timeOffset = 0
+/** @type {?SelfRadioMeta} */
+let selfRadio = null
 
 const defaultTitle = document.title
+/** @type {MediaImage[]} - Page icon is an .ico, which media controls of installed apps can't always show */
+const defaultArtwork = [{ src: new URL("assets/images/gta_v_full.png", location.href).href, sizes: "600x600", type: "image/png" }]
+
 function resetRadioMeta() {
     document.title = defaultTitle
     pageIcon.reset()
 
     if ('mediaSession' in navigator) {
-        navigator.mediaSession.metadata = new MediaMetadata({ title: defaultTitle, artwork: [{ src: pageIcon.element.href }] })
+        navigator.mediaSession.metadata = new MediaMetadata({ title: defaultTitle, artwork: defaultArtwork })
+        navigator.mediaSession.playbackState = "none"
     }
 }
 
 /** @returns {MediaMetadataInit} */
 function getStationMediaMeta() {
     const coverArt = station.getIcon("cover")
-    const artwork = coverArt ? [ { src: coverArt, sizes: "512x512", type: "image/png" } ] : []
+    const artwork = coverArt ? [ { src: coverArt, sizes: "512x512", type: "image/png" } ] : defaultArtwork
 
     return { title: station.meta.info.title, artist: station.meta.info.dj, artwork }
 }
@@ -48,8 +60,9 @@ function setMediaMeta(meta = null) {
 }
 
 if ('mediaSession' in navigator) {
-    navigator.mediaSession.setActionHandler("play", syncToStation)
-    navigator.mediaSession.setActionHandler("pause", stopAudioTracks)
+    navigator.mediaSession.setActionHandler("play", resumeStation)
+    navigator.mediaSession.setActionHandler("pause", pauseStation)
+    navigator.mediaSession.setActionHandler("stop", () => { setStation(null) })
     navigator.mediaSession.setActionHandler("nexttrack", () => { setStation(getNextStation()) })
     navigator.mediaSession.setActionHandler("previoustrack", () => { setStation(getPrevStation()) })
 
@@ -73,15 +86,22 @@ function setTrackTitle(trackMarker) {
 
 let retuneTimeout = null
 function stopRetuneOnPlay() {
-    MainTrack.audio.addEventListener("canplay", () => {
+    const track = MainTrack
+    const listeners = new AbortController()
+
+    // Audio that failed to load stays silent until the next segment, so the static stops either way
+    const stopRetune = () => {
+        listeners.abort()
         clearTimeout(retuneTimeout)
         Sounds.RETUNE.stop()
-        retuneOnBuffer()
-    }, { once: true })
+        if (!track.failed) retuneOnBuffer()
+    }
+    track.addEventListener("canplay", stopRetune, { signal: listeners.signal })
+    track.addEventListener("loadfailed", stopRetune, { signal: listeners.signal })
 }
 
 function retuneOnBuffer() {
-    MainTrack.audio.addEventListener("waiting", () => {
+    MainTrack.addEventListener("waiting", () => {
         retuneTimeout = setTimeout(() => {
             if (MainTrack.isBuffering) Sounds.RETUNE.start()
         }, RETUNE_DELAY_MS)
@@ -112,13 +132,23 @@ function queueTitleChangeEvents(segment) {
 function playStationSegment(segment) {
     playSegment(segment)
     queueTitleChangeEvents(segment)
-    logs.logNextSegment(station.clone().nextSegment())
+
+    const playingStation = station
+    playingStation.peekNextSegment().then((nextSegment) => {
+        if (station === playingStation) logs.logNextSegment(nextSegment)
+    })
 
     MainTrack.setTimeout(preloadNextSegment, MainTrack.info.duration - SEGMENT_PRELOAD_TIME, true)
 }
 
-function preloadNextSegment() {
-    const preloadedSegment = preloadSegment(station.nextSegment())
+async function preloadNextSegment() {
+    const playingStation = station
+    const playingTrack = MainTrack
+
+    const nextSegment = await playingStation.nextSegment()
+    if (station !== playingStation || MainTrack !== playingTrack) return // Station was changed or resynced while simulating
+
+    const preloadedSegment = preloadSegment(nextSegment)
     logs.logPreloadingSegment(preloadedSegment)
 
     MainTrack.onAudibleEnd(() => {
@@ -127,17 +157,37 @@ function preloadNextSegment() {
     })
 }
 
+let syncRequestId = 0
+
+// Stations follow a different rotation with another timeline code, so they are recreated to use it
+radioSettings.subscribe((key) => {
+    if (key === "timelineCode" && station) setStation(stationIndex)
+})
+
+// Settings apply when playback resumes, changing them while paused must not start the audio
+audioSettings.subscribe((key) => {
+    if ((key === "playbackBackend" || key === "latencyOffset") && station && !isPaused) syncToStation()
+})
+
+addClockOffsetListener(() => { if (station && !isPaused) syncToStation() })
+
 /** Syncs audio tracks to currently loaded radio station */
-export function syncToStation() {
+export async function syncToStation() {
+    const syncId = ++syncRequestId
+    isPaused = false
+
     stopAudioTracks()
     audio.context.resume()
     setMediaMeta()
+    // Buffer playback has no media element, so the browser can't tell the media controls it's playing
+    if ('mediaSession' in navigator) navigator.mediaSession.playbackState = "playing"
     
     Sounds.RETUNE.positioned()
     Sounds.RETUNE.start()
     
     const time = performance.now()
-    const syncedSegment = station.getSyncedSegment()
+    const syncedSegment = await station.getSyncedSegment()
+    if (syncId !== syncRequestId) return // Another sync started or the station was changed while simulating
 
     console.groupEnd()
     logs.logStationSync(performance.now() - time, station.meta.info.title)
@@ -146,14 +196,79 @@ export function syncToStation() {
     stopRetuneOnPlay()
 }
 
+/** @type {?number} - Real time (in milliseconds) the station timeline was frozen at, when paused in time-shift mode */
+let pausedTimestamp = null
+/** Whether the station was paused, until it is synced again */
+let isPaused = false
+
+/** Stops the station, in time-shift mode the station timeline is frozen so resuming continues from the pause point */
+export function pauseStation() {
+    isPaused = true
+    syncRequestId++ // A sync that is still simulating must not start playing
+    stopAudioTracks()
+    if ('mediaSession' in navigator && station) navigator.mediaSession.playbackState = "paused"
+    if (station && radioSettings.get("timeShift") && pausedTimestamp === null) pausedTimestamp = now()
+}
+
+/** Offset (in milliseconds) between the time stations are heard at and real time, follows the pause point when paused in time-shift mode */
+export function getListeningOffset() {
+    return (pausedTimestamp === null) ? timeOffset : timeOffset - (now() - pausedTimestamp)
+}
+
+/** Resumes the station from the pause point when paused in time-shift mode, otherwise syncs to it */
+export function resumeStation() {
+    if (!station) return
+    if (pausedTimestamp === null) { syncToStation(); return }
+
+    // Moving the timeline back by the paused duration continues exactly where the listener left off
+    setTimeOffset(getListeningOffset())
+}
+
+/** @type {Array<(offset: number) => void>} */
+const timeOffsetListeners = []
+
+/**
+ * Listens to stations as they aired (or will air) at another time, time keeps running from there
+ * @param {number} offset - Offset (in milliseconds) from real time, 0 to listen live
+ */
+export function setTimeOffset(offset) {
+    timeOffset = offset
+    pausedTimestamp = null
+    timeOffsetListeners.forEach((listener) => { listener(offset) })
+
+    if (station) {
+        station.timeOffset = offset
+        syncToStation()
+    }
+}
+
+/**
+ * Executes callback when the time stations are heard at changes
+ * @param {(offset: number) => void} listener
+ */
+export function addTimeOffsetListener(listener) {
+    if (!timeOffsetListeners.includes(listener)) { timeOffsetListeners.push(listener) }
+}
+
+/**
+ * Steps to the next station in a direction, Self Radio is skipped while it has no tracks since selecting it only opens the file picker
+ * @param {number} index - Index of the station to step from
+ * @param {1 | -1} direction
+ */
+function stepStation(index, direction) {
+    let nextIndex = mod(index + direction, stationList.length)
+    if (stationList[nextIndex] === selfRadio && !selfRadio.hasTracks && stationList.length > 1) {
+        nextIndex = mod(nextIndex + direction, stationList.length)
+    }
+    return nextIndex
+}
+
 export function getNextStation() {
-    if (stationIndex === null) { return 0 }
-    return mod(stationIndex + 1, stationList.length)
+    return stepStation(stationIndex === null ? -1 : stationIndex, 1)
 }
 
 export function getPrevStation() {
-    if (stationIndex === null) { return stationList.length - 1 }
-    return mod(stationIndex - 1, stationList.length)
+    return stepStation(stationIndex === null ? 0 : stationIndex, -1)
 }
 
 /** @type {Object<string, Array<(() => void)>>} */
@@ -164,16 +279,43 @@ let stationListeners = {}
  * @param {number} index - Index of the station (from stationList)
  */
 export async function setStation(index) {
+    if (index !== null && stationList[index] === selfRadio && !selfRadio.hasTracks) {
+        pickSelfRadioFiles()
+        return
+    }
+
     stationIndex = index
+    syncRequestId++
+    pausedTimestamp = null
 
     const callbacks = stationListeners[index] || []
     callbacks.forEach((callback) => { callback() })
 
+    if (station) {
+        station.destroy()
+        station = null
+    }
+
     if (index === null) {
         stopAudioTracks()
         resetRadioMeta()
     } else {
-        station = await stationList[index].createStation()
+        let newStation
+        try {
+            newStation = await createRemoteStation(stationList[index])
+        } catch (err) {
+            console.error(err)
+            if (stationIndex === index) setStation(null)
+            return
+        }
+
+        if (stationIndex !== index || station) {
+            newStation.destroy() // Station was changed while loading
+            return
+        }
+
+        station = newStation
+        station.timeOffset = timeOffset
         syncToStation()
     }
 }
@@ -193,8 +335,44 @@ export function clearStationList() {
     stationListeners = {}
     stationList = []
     stationIndex = null
+    selfRadio = null
+}
+
+/**
+ * Adds audio files to Self Radio and tunes into it, so the new track list is used
+ * @param {Iterable<File>} files
+ */
+export async function addSelfRadioFiles(files) {
+    if (!selfRadio) return
+
+    const added = await selfRadio.addFiles(files)
+    if (added > 0) setStation(stationList.indexOf(selfRadio))
 }
 
+const selfRadioFileInput = document.createElement("input")
+selfRadioFileInput.type = "file"
+selfRadioFileInput.accept = "audio/*"
+selfRadioFileInput.multiple = true
+selfRadioFileInput.addEventListener("change", () => {
+    addSelfRadioFiles(Array.from(selfRadioFileInput.files))
+    selfRadioFileInput.value = ""
+})
+
+/** Opens a file picker for adding audio files to Self Radio */
+export function pickSelfRadioFiles() {
+    selfRadioFileInput.click()
+}
+
+document.addEventListener("dragover", (event) => {
+    if (selfRadio && event.dataTransfer.types.includes("Files")) event.preventDefault()
+})
+document.addEventListener("drop", (event) => {
+    if (!selfRadio || event.dataTransfer.files.length === 0) return
+
+    event.preventDefault()
+    addSelfRadioFiles(Array.from(event.dataTransfer.files))
+})
+
 function newStationButton() {
     const label = document.createElement("label")
     const input = document.createElement("input")
@@ -214,15 +392,70 @@ function newStationButton() {
         input,
         icon,
         loadIcon: (iconSrc, iconAlt) => {
+            label.classList.remove("unavailable")
+            label.title = ""
             icon.alt = iconAlt
-            icon.src = iconSrc
+
+            // Falls back to the next data mirror if the icon is missing
+            const iconPaths = getMirrorPaths(iconSrc)
+            icon.onerror = () => {
+                iconPaths.shift()
+                if (iconPaths.length > 0) icon.src = iconPaths[0]
+            }
+            icon.src = iconPaths[0]
+            iconBorder.appendChild(icon)
+        },
+        setUnavailable: () => {
+            label.classList.add("unavailable")
+            label.title = "Station unavailable, click to retry"
+            icon.alt = "Unavailable"
+            icon.onerror = null
+            icon.src = "assets/images/no_radio.svg"
             iconBorder.appendChild(icon)
         }
     }
 }
 
+/** @type {?number} */
+let stationListErrorInterval = null
+
+/**
+ * Shows an error in place of the station list while radio metadata can't be loaded
+ * @param {number} retryDelay - Time (in milliseconds) until loading is retried
+ * @param {() => void} onRetry - Called when the user retries right away
+ */
+export function showStationListError(retryDelay, onRetry) {
+    clearInterval(stationListErrorInterval)
+
+    const errorEl = document.createElement("div")
+    errorEl.className = "station-list-error"
+
+    const messageEl = document.createElement("span")
+    const retryButton = document.createElement("button")
+    retryButton.className = "ui-el"
+    retryButton.textContent = "Retry"
+    retryButton.onclick = () => {
+        clearInterval(stationListErrorInterval)
+        messageEl.textContent = "Loading radio stations..."
+        retryButton.hidden = true
+        onRetry()
+    }
+    errorEl.append(messageEl, retryButton)
+
+    const retryTime = Date.now() + retryDelay
+    const updateMessage = () => {
+        const seconds = Math.max(0, Math.ceil((retryTime - Date.now()) / 1000))
+        messageEl.textContent = `Couldn't load radio stations. Retrying in ${seconds}s`
+    }
+    updateMessage()
+    stationListErrorInterval = setInterval(updateMessage, 1000)
+
+    document.getElementById("stationList").replaceChildren(errorEl)
+}
+
 export function createRadioStationButtons(meta) {
     clearStationList()
+    clearInterval(stationListErrorInterval)
 
     const noStationBtn = newStationButton()
     noStationBtn.loadIcon("assets/images/no_radio.svg", "No radio")
@@ -232,20 +465,57 @@ export function createRadioStationButtons(meta) {
     setStation(null)
 
     const stationListUI = document.getElementById("stationList")
+    stationListUI.replaceChildren()
 
     for (let i = 0; i < meta.stations.length; i++) {
         const stationBtn = newStationButton()
         const stationMeta = new StationMeta(meta.stations[i].path)
 
+        /** @returns {Promise<boolean>} True if the station is available */
+        const loadStationMeta = () => stationMeta.loadMeta().then((meta) => {
+            if (!meta) {
+                stationBtn.setUnavailable()
+                return false
+            }
+            stationBtn.loadIcon(stationMeta.getPrefferedIcon("color"), meta.info.title)
+            return true
+        })
+
         stationList.push(stationMeta)
-        stationBtn.input.addEventListener("click", () => { setStation(i) })
+        stationBtn.input.addEventListener("click", (event) => {
+            if (stationMeta.meta) { setStation(i); return }
+
+            // Station is selected once its metadata loads, unavailable stations retry loading it
+            event.preventDefault()
+            loadStationMeta().then((available) => { if (available) setStation(i) })
+        })
         addStationListener(i, () => { stationBtn.input.checked = true })
         
         stationListUI.appendChild(stationBtn.label)
-        stationMeta.loadMeta().then((meta) => {
-            stationBtn.loadIcon(stationMeta.getPrefferedIcon("color"), meta.info.title)
-        })
+        loadStationMeta()
     }
 
+    selfRadio = new SelfRadioMeta(stationList)
+    const selfRadioIndex = stationList.length
+    stationList.push(selfRadio)
+
+    const selfRadioBtn = newStationButton()
+    selfRadioBtn.input.addEventListener("click", (event) => {
+        // Selecting Self Radio again lets the user add more files
+        if (stationIndex === selfRadioIndex) {
+            event.preventDefault()
+            pickSelfRadioFiles()
+            return
+        }
+        if (!selfRadio.hasTracks) event.preventDefault()
+        setStation(selfRadioIndex)
+    })
+    addStationListener(selfRadioIndex, () => { selfRadioBtn.input.checked = true })
+
+    stationListUI.appendChild(selfRadioBtn.label)
+    selfRadio.loadMeta().then((meta) => {
+        selfRadioBtn.loadIcon(selfRadio.getPrefferedIcon("color"), meta.info.title)
+    })
+
     stationListUI.appendChild(noStationBtn.label)
 }
\ No newline at end of file
@@ -0,0 +1,113 @@
+import { radioMetaPromise, getDataPath } from "./constants.js"
+import { audioSettings } from "./settings.js"
+
+const CLOCK_RESYNC_THRESHOLD_MS = 2000 // The monotonic clock can fall behind while the device sleeps, or the system clock may be corrected
+const CALIBRATION_SAMPLES = 4
+const CALIBRATION_TIMEOUT_MS = 5000
+const OFFSET_CHANGE_THRESHOLD_MS = 50 // Smaller changes are within measurement error, so listeners aren't notified
+
+/** @type {number} - UTC time (in milliseconds) when `performance.now()` was 0 */
+let clockOrigin = Date.now() - performance.now()
+
+/** @type {number} - Estimated offset (in milliseconds) from the local clock to the reference time source */
+let clockOffset = 0
+
+/** @type {((offset: number) => void)[]} */
+const clockOffsetListeners = []
+
+/** Local UTC time (in milliseconds) from a monotonic clock, falls back to the system clock when they drift too far apart */
+function localNow() {
+    const time = clockOrigin + performance.now()
+    const systemTime = Date.now()
+    if (Math.abs(systemTime - time) < CLOCK_RESYNC_THRESHOLD_MS) return time
+
+    clockOrigin = systemTime - performance.now()
+    if (typeof document !== "undefined") calibrateClock() // Offset was measured against the old system clock
+    return systemTime
+}
+
+/**
+ * Current UTC time (in milliseconds) of the reference time source, so every listener hears the same point in a segment regardless of their system clock.
+ * Uses a monotonic clock, so small system clock adjustments don't cause sync jumps.
+ */
+export function now() { return localNow() + clockOffset }
+
+/** @param {number} offset - Offset (in milliseconds) from the local clock to the reference time source */
+export function setClockOffset(offset) {
+    const change = offset - clockOffset
+    clockOffset = offset
+    if (Math.abs(change) >= OFFSET_CHANGE_THRESHOLD_MS) clockOffsetListeners.forEach((listener) => { listener(offset) })
+}
+
+/** @param {(offset: number) => void} listener */
+export function addClockOffsetListener(listener) {
+    if (!clockOffsetListeners.includes(listener)) { clockOffsetListeners.push(listener) }
+}
+
+/**
+ * Measures the time of a reference once
+ * @param {string} url - Time endpoint responding with UTC time (in milliseconds) as text, any other response uses its `Date` header
+ * @param {"GET" | "HEAD"} method - HEAD only reads the `Date` header
+ * @returns {Promise<{ offset: number, error: number }>} Offset (in milliseconds) to the local clock, and how far off it could be
+ */
+async function measureOffset(url, method) {
+    const requestStart = localNow()
+    const response = await fetch(url, { method, cache: "no-store", signal: AbortSignal.timeout(CALIBRATION_TIMEOUT_MS) })
+    const requestEnd = localNow()
+    const roundTrip = requestEnd - requestStart
+
+    const body = method === "GET" ? (await response.text()).trim() : ""
+    if (body && body.length < 20 && Number.isFinite(Number(body))) {
+        return { offset: Number(body) - (requestStart + roundTrip / 2), error: roundTrip / 2 }
+    }
+
+    // Date header only has second precision, the reference time could be anywhere within that second
+    const date = response.headers.get("Date")
+    if (!date) throw new Error("Response has no readable Date header")
+    return { offset: Date.parse(date) + 500 - (requestStart + roundTrip / 2), error: roundTrip / 2 + 500 }
+}
+
+let calibrationId = 0
+
+/** Estimates the clock offset to the time reference set in audio settings, the data host (or the page host for remote data) is used when none is set */
+export async function calibrateClock() {
+    const id = ++calibrationId
+
+    if (!audioSettings.get("clockSync")) { setClockOffset(0); return }
+
+    let url = audioSettings.get("timeReference")
+    /** @type {"GET" | "HEAD"} */
+    let method = "GET"
+    if (!url) {
+        await radioMetaPromise
+        // Date header of a cross-origin response can only be read if the host exposes it, the page host is used instead
+        const dataUrl = new URL(getDataPath() + "radio.json", location.href)
+        url = (dataUrl.origin === location.origin) ? dataUrl.href : location.href
+        method = "HEAD"
+    }
+
+    /** @type {{ offset: number, error: number } | null} */
+    let best = null
+    for (let i = 0; i < CALIBRATION_SAMPLES; i++) {
+        try {
+            const sample = await measureOffset(url, method)
+            if (!best || sample.error < best.error) best = sample
+        } catch (err) {
+            console.warn(`Failed to measure clock offset using "${url}":`, err)
+            break
+        }
+    }
+    if (id !== calibrationId) return // Settings changed while measuring
+
+    if (!best) return
+    if (Math.abs(best.offset) <= best.error) best.offset = 0 // Local clock is within measurement error of the reference
+    setClockOffset(best.offset)
+}
+
+// Only the page measures the offset, workers get it from the page
+if (typeof document !== "undefined") {
+    audioSettings.subscribe((key) => {
+        if (key === "clockSync" || key === "timeReference") calibrateClock()
+    })
+    calibrateClock()
+}
@@ -26,9 +26,38 @@ export interface SegmentInfo extends RelativeAudioInfo {
     dj?: DJMarker[]
   }
   category: number
+  /** Number of adverts in the ad break, set by the scheduler on the first segment of an ad break */
+  adBreakLength?: number
+  /** Indexes of the DJ lines the segment can use, by file group. Drawn by the scheduler, so every listener gets the same lines */
+  djLines?: { [fileGroup: string]: number }
 }
 
-export type StationType = "dynamic" | "talkshow" | "static"
+export interface ScheduleEntry {
+  category: number
+  /** UTC time (in milliseconds) when the segment starts playing */
+  startTimestamp: number
+  /** In seconds */
+  duration: number
+  /** Tracks in the segment, from its track markers */
+  tracks: {
+    title?: string
+    artist?: string
+    /** UTC time (in milliseconds) when the track starts playing */
+    startTimestamp: number
+  }[]
+}
+
+/** Snapshot of the scheduling state of a radio station */
+export interface StationState {
+  accumulatedTime: number
+  segmentIndex: number
+  trackIndex: number
+  segmentHistory: SegmentInfo[]
+  prngIndex: number
+  drawPools: { [id: string]: { draw: number[], discard: number[], dontRepeatFor: number } }
+}
+
+export type StationType = "dynamic" | "talkshow" | "static" | "self"
 export type IconType = "color" | "monochrome" | "full" | "cover"
 
 export interface AudioMarker {
@@ -44,6 +73,49 @@ export interface DJMarker extends AudioMarker {
   value: "intro_start" | "intro_end" | "outro_start" | "outro_end"
 }
 
+export interface TakeoverWindow {
+  /** UTC hour (0-24, fractions allowed) when the takeover starts */
+  startHour: number
+  /** UTC hour (0-24, fractions allowed) when the takeover ends, windows wrap past midnight if lower than `startHour` */
+  endHour: number
+  /** UTC weekdays (0 = Sunday) the window starts on, every day if not present */
+  days?: number[]
+}
+
+export interface TakeoverRotation {
+  /** Hours between the start of each takeover, counted from the station sync reset */
+  intervalHours: number
+  /** Hours the takeover lasts */
+  durationHours: number
+  /** Hours to delay the first takeover by */
+  offsetHours?: number
+}
+
+export interface TakeoverInfo {
+  /** Unique identifier, keeps the draw pools of the takeover separate */
+  id: string
+  windows?: TakeoverWindow[]
+  rotation?: TakeoverRotation
+  /** File groups that replace the station's own while the takeover is active */
+  fileGroups: Partial<StationMetadata["fileGroups"]>
+}
+
+/** Rules that shape how a station rotates between music and breaks, every rule is optional */
+export interface RotationRules {
+  /** Chance (0-1) of a break after a music track on dynamic stations, defaults to 0.5 */
+  breakChance?: number
+  /** Relative weights for picking the category of a break, by category id. Categories without a weight have a weight of 1, defaults to equal weights */
+  breakWeights?: { mono_solo?: number, adverts?: number, news?: number }
+  /** Maximum number of music tracks in a row on dynamic stations, a break is forced after that many */
+  maxTracksBetweenBreaks?: number
+  /** Number of adverts in an ad break, or the [min, max] range it is picked from. Defaults to [2, 3] */
+  adBreakLength?: number | [number, number]
+  /** Whether idents open and close ad breaks and follow news, defaults to true */
+  breakIdents?: boolean
+  /** Number of draws a file can't repeat for, by draw pool id (e.g., "track", "adverts") or "default" for the rest. Defaults to 8 */
+  repeatWindows?: { [poolId: string]: number }
+}
+
 export interface StationMetadata {
   /** If not present, assume "dynamic" */
   id: string
@@ -63,11 +135,13 @@ export interface StationMetadata {
 
   common: {
     adverts?: string[]
+    news?: string[]
   }
 
   fileGroups: {
     track: SegmentInfo[]
     adverts?: SegmentInfo[]
+    news?: SegmentInfo[]
     id?: RelativeAudioInfo[]
     mono_solo?: RelativeAudioInfo[]
     general?: RelativeAudioInfo[]
@@ -76,6 +150,10 @@ export interface StationMetadata {
     to_adverts?: RelativeAudioInfo[]
     to_news?: RelativeAudioInfo[]
   }
+
+  /** Scheduled takeovers (e.g., Dre Day), segments starting during a takeover use its file groups */
+  takeovers?: TakeoverInfo[]
+  rotationRules?: RotationRules
 }
 
 export interface RadioMetadata {
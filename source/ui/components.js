@@ -234,6 +234,50 @@ export class EnumInput extends PropertyInput {
     }
 }
 
+/** @extends {PropertyInput<string>} */
+export class TextInput extends PropertyInput {
+    /**
+     * @param {Property<string>} property
+     * @param {string} [placeholder=""] - Text shown when the value is empty
+     */
+    constructor(property, placeholder = "") {
+        super(property)
+
+        this.element = document.createElement("div")
+        this.element.className = "text-input"
+
+        this.inputEl = document.createElement("input")
+        this.inputEl.type = "text"
+        this.inputEl.placeholder = placeholder
+        this.inputEl.spellcheck = false
+        this.inputEl.addEventListener("change", () => { this.property.set(this.inputEl.value.trim()) })
+        this.inputEl.addEventListener("keydown", (event) => {
+            event.stopPropagation() // Typing should not navigate menus
+
+            if (event.key == "Escape") {
+                this.inputEl.value = this.property.get()
+                this.inputEl.blur()
+            } else if (event.key == "Enter") {
+                this.inputEl.blur()
+            }
+        })
+        this.element.appendChild(this.inputEl)
+
+        this.onPropValueChanged(this.property.get())
+    }
+
+    onPropValueChanged(value) {
+        this.inputEl.value = value
+    }
+
+    onInput(event) {
+        if (event.key == "Enter") {
+            this.inputEl.focus()
+            return true
+        }
+    }
+}
+
 /** @extends {PropertyInput<number>} */
 export class SliderInput extends PropertyInput {
     isDragging = false
@@ -0,0 +1,26 @@
+const NOTICE_DURATION_MS = 6000
+const MAX_NOTICES = 3
+
+/** @type {?HTMLElement} */
+let noticeArea = null
+
+/**
+ * Shows a short message in the corner of the page that goes away by itself, for problems that don't need the listener to act
+ * @param {string} text
+ */
+export function showNotice(text) {
+    if (!noticeArea) {
+        noticeArea = document.createElement("div")
+        noticeArea.id = "noticeArea"
+        noticeArea.setAttribute("role", "status")
+        document.body.appendChild(noticeArea)
+    }
+
+    const notice = document.createElement("div")
+    notice.className = "notice ui-bg"
+    notice.textContent = text
+    noticeArea.appendChild(notice)
+
+    while (noticeArea.childElementCount > MAX_NOTICES) noticeArea.firstElementChild.remove()
+    setTimeout(() => { notice.remove() }, NOTICE_DURATION_MS)
+}
@@ -1,11 +1,14 @@
 import { radioMetaPromise } from "../constants.js"
 import { stationList } from "../station-manager.js"
 import { getGtaOnlineTime } from "../utility.js"
-import { audioSettings, uiSettings } from "../settings.js"
+import { audioSettings, radioSettings, uiSettings, dataSettings } from "../settings.js"
 import Sounds from "../sounds.js"
 
 import { UIMenu } from "./base-components.js"
-import { TabBar, MenuSelector, PropertyList, EnumInput, SliderInput } from "./components.js"
+import { TabBar, MenuSelector, PropertyList, EnumInput, SliderInput, TextInput } from "./components.js"
+import { StationView } from "./station-view.js"
+
+const LATENCY_OFFSETS = [0, 50, 100, 150, 200, 250, 300, 400, 500]
 
 export default class PauseMenu extends UIMenu {
     /** @private @type {number} */
@@ -61,9 +64,68 @@ export default class PauseMenu extends UIMenu {
                                 {
                                     title: "SFX Volume",
                                     inlineContent: () => new SliderInput(audioSettings.property("sfxGain"), 0, 1)
+                                },
+                                {
+                                    title: "Playback",
+                                    inlineContent: () => new EnumInput(audioSettings.property("playbackBackend"), [
+                                        { label: "Streaming", value: "element" }, { label: "Gapless", value: "buffer" }
+                                    ])
+                                },
+                                {
+                                    title: "Latency",
+                                    inlineContent: () => new EnumInput(audioSettings.property("latencyOffset"),
+                                        LATENCY_OFFSETS.map((offset) => ({ label: `${offset} ms`, value: offset }))
+                                    )
+                                },
+                                {
+                                    title: "Clock Sync",
+                                    inlineContent: () => new EnumInput(audioSettings.property("clockSync"), [
+                                        { label: "Off", value: false }, { label: "On", value: true }
+                                    ])
+                                },
+                                {
+                                    title: "Time Reference",
+                                    inlineContent: () => new TextInput(audioSettings.property("timeReference"), "Data Host")
+                                },
+                                {
+                                    title: "Skip Adverts",
+                                    inlineContent: () => new EnumInput(radioSettings.property("skipAdverts"), [
+                                        { label: "Off", value: false }, { label: "On", value: true }
+                                    ])
+                                },
+                                {
+                                    title: "Music Only",
+                                    inlineContent: () => new EnumInput(radioSettings.property("musicOnly"), [
+                                        { label: "Off", value: false }, { label: "On", value: true }
+                                    ])
                                 }
                             ) 
                         },
+                        {
+                            title: "Radio",
+                            content: () => new PropertyList(
+                                {
+                                    title: "DJ Clock",
+                                    inlineContent: () => new EnumInput(radioSettings.property("djClock"), [
+                                        { label: "Local", value: "local" }, { label: "GTA Online", value: "online" }
+                                    ])
+                                },
+                                {
+                                    title: "Time Shift",
+                                    inlineContent: () => new EnumInput(radioSettings.property("timeShift"), [
+                                        { label: "Off", value: false }, { label: "On", value: true }
+                                    ])
+                                },
+                                {
+                                    title: "Timeline Code",
+                                    inlineContent: () => new TextInput(radioSettings.property("timelineCode"), "Public")
+                                },
+                                {
+                                    title: "Data Mirrors",
+                                    inlineContent: () => new TextInput(dataSettings.property("mirrors"), "local, github")
+                                }
+                            )
+                        },
                         {
                             title: "User Interface",
                             content: () => new PropertyList(
@@ -91,9 +153,10 @@ export default class PauseMenu extends UIMenu {
 
                         const stationMenuList = []
                         for (const station of stationList) {
-                            await station.loadMeta()
+                            if (!await station.loadMeta()) continue // Unavailable stations have no schedule to show
                             stationMenuList.push({
-                                title: station.meta.info.title
+                                title: station.meta.info.title,
+                                content: () => new StationView(station)
                             })
                         }
                         
@@ -0,0 +1,109 @@
+import { getCategoryId, createScheduleEntry } from "../radio.js"
+import { createRemoteStation } from "../radio-client.js"
+import { getListeningOffset } from "../station-manager.js"
+import { UIComponent } from "./base-components.js"
+
+/** @typedef {import("../radio.js").StationMeta} StationMeta */
+/** @typedef {import("../types.js").ScheduleEntry} ScheduleEntry */
+
+const SCHEDULE_HOURS = 3
+
+const CATEGORY_LABELS = {
+    track: "Music",
+    adverts: "Advert",
+    news: "News",
+    id: "Ident",
+    mono_solo: "DJ"
+}
+
+/** @param {number} timestamp */
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+}
+
+/** @param {ScheduleEntry} entry */
+function getEntryTitle(entry) {
+    const track = entry.tracks[0]
+    if (!track || !(track.title || track.artist)) return ""
+
+    let title = (track.title && track.artist) ? `${track.title} - ${track.artist}` : (track.title || track.artist)
+    if (entry.tracks.length > 1) title += ` (+${entry.tracks.length - 1} more)`
+    return title
+}
+
+/** Program guide showing the segment that is playing and the upcoming segments of a station */
+export class ScheduleView extends UIComponent {
+    /** @param {StationMeta} stationMeta */
+    constructor(stationMeta) {
+        super()
+
+        this.stationMeta = stationMeta
+
+        this.element = document.createElement("div")
+        this.element.className = "schedule-view menu-item-list ui-bg"
+        this.setMessage("Loading schedule...")
+
+        this.load()
+    }
+
+    /** @param {string} text */
+    setMessage(text) {
+        const messageEl = document.createElement("div")
+        messageEl.className = "schedule-message"
+        messageEl.textContent = text
+        this.element.replaceChildren(messageEl)
+    }
+
+    async load() {
+        await this.stationMeta.loadMeta()
+        if (!this.stationMeta.meta || this.stationMeta.meta.fileGroups.track.length === 0) {
+            this.setMessage("Schedule unavailable")
+            return
+        }
+
+        let station = null
+        /** @type {ScheduleEntry[]} */
+        let schedule
+        try {
+            station = await createRemoteStation(this.stationMeta)
+            station.timeOffset = getListeningOffset() // Shows what is heard when listening at another time or paused in time-shift mode
+
+            // Schedule times are station times, the current segment is shifted back to them too
+            const current = await station.getSyncedSegment()
+            schedule = [createScheduleEntry(current.info, current.startTimestamp + station.timeOffset), ...await station.getSchedule({ hours: SCHEDULE_HOURS })]
+        } catch (err) {
+            console.error(`Failed to load schedule of "${this.stationMeta.path}":`, err)
+            this.setMessage("Failed to load schedule")
+            return
+        } finally {
+            if (station) station.destroy()
+        }
+
+        this.element.replaceChildren(...schedule.map((entry, index) => this.createRow(entry, index === 0)))
+    }
+
+    /**
+     * @param {ScheduleEntry} entry
+     * @param {boolean} isCurrent
+     */
+    createRow(entry, isCurrent) {
+        const row = document.createElement("div")
+        row.className = "schedule-entry menu-item"
+        row.classList.toggle("current", isCurrent)
+
+        const timeEl = document.createElement("span")
+        timeEl.className = "schedule-time"
+        timeEl.textContent = isCurrent ? "NOW" : formatTime(entry.startTimestamp)
+
+        const categoryEl = document.createElement("span")
+        categoryEl.className = "schedule-category"
+        categoryEl.textContent = CATEGORY_LABELS[getCategoryId(entry.category)] || ""
+
+        const titleEl = document.createElement("span")
+        titleEl.className = "schedule-title"
+        titleEl.textContent = getEntryTitle(entry)
+
+        row.append(timeEl, categoryEl, titleEl)
+        return row
+    }
+}
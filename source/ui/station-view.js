@@ -0,0 +1,119 @@
+import { stationDownloads } from "../downloads.js"
+import { UIComponent } from "./base-components.js"
+import { ScheduleView } from "./schedule.js"
+
+/** @typedef {import("../radio.js").StationMeta} StationMeta */
+/** @typedef {import("../downloads.js").DownloadProgress} DownloadProgress */
+
+/** @param {number} bytes */
+function formatBytes(bytes) {
+    if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`
+    if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(0)} MB`
+    return `${(bytes / 1e3).toFixed(0)} KB`
+}
+
+/** Downloads a station for offline listening, with its progress and storage usage */
+class DownloadPanel extends UIComponent {
+    /** @param {StationMeta} stationMeta */
+    constructor(stationMeta) {
+        super()
+
+        this.stationMeta = stationMeta
+
+        this.element = document.createElement("div")
+        this.element.className = "download-panel ui-bg"
+
+        this.statusEl = document.createElement("span")
+        this.statusEl.className = "download-status"
+
+        this.progressBar = document.createElement("div")
+        this.progressBar.className = "download-progress"
+        const progressBackground = document.createElement("div")
+        progressBackground.appendChild(this.progressBar)
+
+        this.button = document.createElement("button")
+        this.button.className = "ui-el"
+
+        this.storageEl = document.createElement("span")
+        this.storageEl.className = "download-storage"
+
+        this.element.append(this.statusEl, this.button, progressBackground, this.storageEl)
+
+        /** @type {import("../downloads.js").DownloadListener} */
+        this._onDownloadChanged = (stationPath) => {
+            if (stationPath === this.stationMeta.path) this.update()
+        }
+        stationDownloads.subscribe(this._onDownloadChanged)
+
+        this.update()
+    }
+
+    async update() {
+        const progress = stationDownloads.getProgress(this.stationMeta)
+        if (progress) {
+            this.showProgress(progress)
+        } else {
+            const manifest = await stationDownloads.getManifest(this.stationMeta)
+            if (stationDownloads.getProgress(this.stationMeta)) return // Download started while reading the manifest
+
+            this.progressBar.style.width = manifest ? "100%" : "0%"
+            if (manifest) {
+                this.statusEl.textContent = `Available offline (${formatBytes(manifest.bytes)})`
+                this.setButton("Delete", () => { stationDownloads.delete(this.stationMeta) })
+            } else if (stationDownloads.hasFailed(this.stationMeta)) {
+                this.statusEl.textContent = "Download failed, some files couldn't be loaded"
+                this.setButton("Retry", () => { stationDownloads.download(this.stationMeta) })
+            } else {
+                this.statusEl.textContent = "Not downloaded"
+                this.setButton("Download", () => { stationDownloads.download(this.stationMeta) })
+            }
+        }
+
+        const estimate = await stationDownloads.getStorageEstimate()
+        this.storageEl.textContent = estimate ? `Storage used: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}` : ""
+    }
+
+    /** @param {DownloadProgress} progress */
+    showProgress(progress) {
+        this.progressBar.style.width = `${(progress.done / progress.total) * 100}%`
+        this.statusEl.textContent = `Downloading ${progress.done}/${progress.total} files (${formatBytes(progress.bytes)})`
+        this.setButton("Cancel", () => { stationDownloads.cancel(this.stationMeta) })
+    }
+
+    /**
+     * @param {string} label
+     * @param {() => void} onClick
+     */
+    setButton(label, onClick) {
+        this.button.textContent = label
+        this.button.onclick = onClick
+    }
+
+    destroy() {
+        super.destroy()
+        stationDownloads.unsubscribe(this._onDownloadChanged)
+    }
+}
+
+/** Pause menu page of a station, with its schedule and offline download */
+export class StationView extends UIComponent {
+    /** @param {StationMeta} stationMeta */
+    constructor(stationMeta) {
+        super()
+
+        this.element = document.createElement("div")
+        this.element.className = "station-view"
+
+        this.schedule = new ScheduleView(stationMeta)
+        this.downloadPanel = (stationDownloads.isSupported && stationMeta.meta.type !== "self") ? new DownloadPanel(stationMeta) : null // Self Radio plays the user's own files
+
+        if (this.downloadPanel) this.element.appendChild(this.downloadPanel.element)
+        this.element.appendChild(this.schedule.element)
+    }
+
+    destroy() {
+        super.destroy()
+        this.schedule.destroy()
+        if (this.downloadPanel) this.downloadPanel.destroy()
+    }
+}
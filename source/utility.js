@@ -8,8 +8,9 @@ const ONLINE_TIME = {
     MINUTE_OFFSET: 25 * 60 * 1000 // Time in gta online seems to be offset by 25 minutes
 }
 
-export function getGtaOnlineTime() {
-    const gameMs = (Date.now() - ONLINE_TIME.INIT_REAL_MS) * ONLINE_TIME.TIME_SCALE
+/** @param {number} timestamp - UTC time (in milliseconds) to get the in-game time for, defaults to now */
+export function getGtaOnlineTime(timestamp = Date.now()) {
+    const gameMs = (timestamp - ONLINE_TIME.INIT_REAL_MS) * ONLINE_TIME.TIME_SCALE
     const gameMsToday = ((gameMs % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY
     const totalDays = Math.floor(gameMs / MS_PER_DAY)
 
@@ -26,6 +27,20 @@ export function getGtaOnlineTime() {
     return { hh, mm, ss, weekdayName }
 }
 
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} string
+ * @returns {number}
+ */
+export function hashString(string) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < string.length; i++) {
+        hash ^= string.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+}
+
 export function mod(n, m) { return ((n % m) + m) % m }
 
 /** @param {any} n */
@@ -121,8 +136,24 @@ class IndexDrawPool {
 
         return cloned;
     }
+
+    /** @returns {SerializedIndexDrawPool} */
+    serialize() {
+        return { draw: [...this.draw], discard: [...this.discard], dontRepeatFor: this.dontRepeatFor }
+    }
+
+    /** @param {SerializedIndexDrawPool} serialized */
+    static deserialize(serialized) {
+        const pool = new IndexDrawPool(0, serialized.dontRepeatFor)
+        pool.draw = [...serialized.draw]
+        pool.discard = [...serialized.discard]
+
+        return pool
+    }
 }
 
+/** @typedef {{ draw: number[], discard: number[], dontRepeatFor: number }} SerializedIndexDrawPool */
+
 export class IndexDrawPoolManager {
     /** @type {Map<string, IndexDrawPool>} - Stores mutliple IndexDrawPools by `id` */
     map
@@ -156,4 +187,26 @@ export class IndexDrawPoolManager {
         }
         return cloned;
     }
+
+    /**
+     * Serializes every draw pool to a JSON compatible object
+     * @returns {Object<string, SerializedIndexDrawPool>}
+     */
+    serialize() {
+        /** @type {Object<string, SerializedIndexDrawPool>} */
+        const serialized = {}
+        for (const [id, pool] of this.map.entries()) {
+            serialized[id] = pool.serialize()
+        }
+        return serialized
+    }
+
+    /** @param {Object<string, SerializedIndexDrawPool>} serialized */
+    static deserialize(serialized) {
+        const manager = new IndexDrawPoolManager()
+        for (const id of Object.keys(serialized)) {
+            manager.map.set(id, IndexDrawPool.deserialize(serialized[id]))
+        }
+        return manager
+    }
 }
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Service worker that keeps the radio working offline.
+ * Station files downloaded by `source/downloads.js` are served from the data cache.
+ * The app shell (`APP_FILES`) is precached when the worker installs, other app files are cached as they load.
+ * Whenever app files change, update `APP_FILES` and bump `APP_CACHE_VERSION` (the `app-v1` cache name), so the new worker caches them again.
+ */
+
+const APP_CACHE_VERSION = 1 // Bump when app files change, so installing the new worker caches them again
+const APP_CACHE_NAME = `app-v${APP_CACHE_VERSION}`
+const DATA_CACHE_NAME = "station-data" // Same as `DATA_CACHE_NAME` in source/downloads.js
+const LOCAL_DATA_PATH = new URL("data/", self.location.href).href // Local station data is downloaded per station, not cached as it loads
+
+/** @type {any} */
+const sw = self
+
+/** App shell, cached on install so the app works offline even if some of it was never loaded online. Other backgrounds are cached as they load. */
+const APP_FILES = [
+    "./",
+    "index.html",
+    "index.css",
+    "index.js",
+    "manifest.webmanifest",
+    "banner.png",
+    "backgrounds/list.json",
+    "backgrounds/cropduster.jpg",
+    "assets/Pricedown Bl.otf",
+    "assets/Roboto.ttf",
+    "assets/icons/chevron-right.svg",
+    "assets/icons/speaker-off.svg",
+    "assets/icons/speaker.svg",
+    "assets/images/gta_v.ico",
+    "assets/images/gta_v_full.png",
+    "assets/images/no_radio.svg",
+    "assets/images/self_radio.svg",
+    "assets/sfx/BLIP_1.wav",
+    "assets/sfx/BLIP_2.wav",
+    "assets/sfx/BLIP_4.wav",
+    "assets/sfx/BLIP_5.wav",
+    "assets/sfx/BLIP_6.wav",
+    "assets/sfx/BLIP_7.wav",
+    "assets/sfx/BLIP_8.wav",
+    "assets/sfx/BLIP_9.wav",
+    "assets/sfx/BLIP_10.wav",
+    "assets/sfx/BLIP_11.wav",
+    "assets/sfx/BLIP_12.wav",
+    "assets/sfx/BLIP_13.wav",
+    "assets/sfx/BLIP_14.wav",
+    "assets/sfx/BLIP_15.wav",
+    "assets/sfx/BLIP_16.wav",
+    "assets/sfx/RADIO_STATIC_LOOP.wav",
+    "assets/sfx/menu_open.m4a",
+    "assets/sfx/menu_select.m4a",
+    "assets/sfx/menu_tab_select.m4a",
+    "assets/sfx/pause_menu_close.m4a",
+    "assets/sfx/pause_menu_open.m4a",
+    "source/audio.js",
+    "source/checkpoints.js",
+    "source/constants.js",
+    "source/debug/logging.js",
+    "source/debug/testing-helpers.js",
+    "source/downloads.js",
+    "source/radio-client.js",
+    "source/radio-worker.js",
+    "source/radio.js",
+    "source/self-radio.js",
+    "source/settings.js",
+    "source/sounds.js",
+    "source/station-manager.js",
+    "source/time-source.js",
+    "source/ui/base-components.js",
+    "source/ui/components.css",
+    "source/ui/components.js",
+    "source/ui/icons.js",
+    "source/ui/notices.js",
+    "source/ui/pause-menu.css",
+    "source/ui/pause-menu.js",
+    "source/ui/schedule.js",
+    "source/ui/station-view.js",
+    "source/utility.js"
+]
+
+sw.addEventListener("install", (/** @type {any} */ event) => {
+    event.waitUntil((async () => {
+        const appCache = await caches.open(APP_CACHE_NAME)
+        await appCache.addAll(APP_FILES)
+        await sw.skipWaiting()
+    })())
+})
+
+sw.addEventListener("activate", (/** @type {any} */ event) => {
+    event.waitUntil((async () => {
+        // App caches of older versions, downloaded stations are kept
+        for (const cacheName of await caches.keys()) {
+            if (cacheName.startsWith("app") && cacheName !== APP_CACHE_NAME) await caches.delete(cacheName)
+        }
+        await sw.clients.claim()
+    })())
+})
+
+sw.addEventListener("fetch", (/** @type {any} */ event) => {
+    /** @type {Request} */
+    const request = event.request
+    if (request.method !== "GET") return
+
+    event.respondWith(respond(request))
+})
+
+/** Metadata can change, so it is only served from the data cache when offline */
+function isMetadata(url) {
+    return url.endsWith("/radio.json") || url.endsWith("/station.json")
+}
+
+/** @param {Request} request */
+function isAppFile(request) {
+    return request.url.startsWith(self.location.origin) && !request.url.startsWith(LOCAL_DATA_PATH) && request.destination !== "audio" && !request.headers.has("Range")
+}
+
+/**
+ * Downloaded station files are served from the data cache, everything else from the network with the caches as an offline fallback
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function respond(request) {
+    const dataCache = await caches.open(DATA_CACHE_NAME)
+    const downloaded = await dataCache.match(request.url)
+    if (downloaded && !isMetadata(request.url)) return toRangeResponse(request, downloaded)
+
+    try {
+        const response = await fetch(request)
+        if (response.ok && isAppFile(request)) {
+            const appCache = await caches.open(APP_CACHE_NAME)
+            appCache.put(request, response.clone())
+        }
+        return response
+    } catch (err) {
+        const cached = downloaded || await caches.match(request, { cacheName: APP_CACHE_NAME, ignoreSearch: true })
+        if (cached) return toRangeResponse(request, cached)
+        throw err
+    }
+}
+
+/**
+ * Audio elements request ranges of files, which have to be cut from the cached file
+ * @param {Request} request
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function toRangeResponse(request, response) {
+    const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("Range") || "")
+    if (!range || response.status !== 200) return response
+
+    const blob = await response.blob()
+    let start = Number(range[1])
+    let end = range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1
+    if (!range[1]) { // Suffix range (e.g., "bytes=-500" for the last 500 bytes)
+        start = Math.max(0, blob.size - Number(range[2]))
+        end = blob.size - 1
+    }
+
+    if (start >= blob.size || start > end) {
+        return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${blob.size}` } })
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            "Content-Type": response.headers.get("Content-Type") || "",
+            "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+            "Content-Length": String(end - start + 1),
+            "Accept-Ranges": "bytes"
+        }
+    })
+}